@@ -20,6 +20,25 @@ import { tracked } from '@glimmer/tracking';
  * : The category on the category axis for the item, formatted using the
  *   `categoryAxisFormatter` provided to the bar chart, if any.
  *
+ * `total`
+ * : The running total after the item for the `waterfall` variant, formatted
+ *   using the `valueAxisFormatter` provided to the bar chart, if any.
+ *
+ * `isTotal`
+ * : Whether the item is a total for the `waterfall` variant.
+ *
+ * `target`
+ * : The target for the item for the `bullet` variant, formatted using the
+ *   `valueAxisFormatter` provided to the bar chart, if any.
+ *
+ * `start`, `end`
+ * : The start and end times for the item for the `rangeBar` variant,
+ *   formatted using the `valueAxisFormatter` provided to the bar chart, if any.
+ *
+ * `collapsed`
+ * : The data objects collapsed into the item when it's the item for the
+ *   collapsed categories of a bar chart with `maxCategories` set.
+ *
  * `marker`
  * : Raw HTML that renders the marker used to identify the item on the chart.
  *
@@ -40,7 +59,20 @@ import { tracked } from '@glimmer/tracking';
  * : The series object for the series this item belongs to.
  */
 const toTooltipItem = (param, dataset) => ({
-  ...pick(param, 'value', 'marker', 'dataIndex', 'data', 'seriesIndex'),
+  ...pick(
+    param,
+    'value',
+    'total',
+    'isTotal',
+    'target',
+    'start',
+    'end',
+    'collapsed',
+    'marker',
+    'dataIndex',
+    'data',
+    'seriesIndex'
+  ),
   label: param.name,
   style: pick(param, 'color'),
   series: {
@@ -0,0 +1,78 @@
+import pick from 'lodash/pick';
+import { action } from '@ember/object';
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+
+/**
+ * Converts an EChart tooltip param into a standardized & simplied object this
+ * component can yield to custom tooltip components.
+ *
+ * The object returned from this function includes the following properties:
+ *
+ * `label`
+ * : The category on the category axis for the item.
+ *
+ * `category`
+ * : The category on the category axis for the item, formatted using the
+ *   `categoryAxisFormatter` provided to the box plot, if any.
+ *
+ * `statistics`
+ * : The statistical summary of the observations for the category in the
+ *   series: `min`, `q1`, `median`, `q3` and `max` (the ends of the whiskers),
+ *   formatted using the `valueAxisFormatter` provided to the box plot, if any,
+ *   along with the `count` of observations and the formatted `outliers`.
+ *
+ * `isOutlier`
+ * : Whether the item is an outlier rather than a box.
+ *
+ * `value`
+ * : The formatted value of the observation when the item is an outlier.
+ *
+ * `marker`
+ * : Raw HTML that renders the marker used to identify the item on the chart.
+ *
+ * `style`
+ * : An object representing the graphical properties of the element being
+ *   hovered over. Currently only supports `color`.
+ *
+ * `seriesIndex`
+ * : The index in the dataset of the series this item belongs to.
+ *
+ * `series`
+ * : The series object for the series this item belongs to.
+ */
+const toTooltipItem = (param, dataset) => ({
+  ...pick(
+    param,
+    'category',
+    'statistics',
+    'isOutlier',
+    'marker',
+    'seriesIndex'
+  ),
+  ...(param.isOutlier && pick(param, 'value')),
+  label: param.name,
+  style: pick(param, 'color'),
+  series: {
+    label: param.seriesName,
+    ...dataset[param.seriesIndex],
+  },
+});
+
+export default class BoxPlotChartComponent extends Component {
+  itemTooltipElement;
+
+  @tracked tooltipItem;
+
+  @action
+  setup(element) {
+    this.itemTooltipElement = element.querySelector('[data-role=itemTooltip]');
+  }
+
+  @action
+  tooltipFormatter(params, dataset) {
+    this.tooltipItem = toTooltipItem(params, dataset);
+
+    return this.itemTooltipElement;
+  }
+}
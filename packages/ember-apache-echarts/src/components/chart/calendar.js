@@ -0,0 +1,65 @@
+import pick from 'lodash/pick';
+import { action } from '@ember/object';
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+
+/**
+ * Converts an EChart tooltip param into a standardized & simplied object this
+ * component can yield to custom tooltip components.
+ *
+ * The object returned from this function includes the following properties:
+ *
+ * `label`, `date`
+ * : The date for the item, formatted using the `dateFormatter` provided to the
+ *   calendar chart, if any.
+ *
+ * `value`
+ * : The value for the item, formatted using the `valueAxisFormatter` provided
+ *   to the calendar chart, if any.
+ *
+ * `marker`
+ * : Raw HTML that renders the marker used to identify the item on the chart.
+ *
+ * `style`
+ * : An object representing the graphical properties of the element being
+ *   hovered over. Currently only supports `color`.
+ *
+ * `dataIndex`
+ * : The index of the item in the data for the series this item belongs to.
+ *
+ * `data`
+ * : The data object from the chart data for this item.
+ *
+ * `seriesIndex`
+ * : The index in the dataset of the series this item belongs to.
+ *
+ * `series`
+ * : The series object for the series this item belongs to.
+ */
+const toTooltipItem = (param, dataset) => ({
+  ...pick(param, 'value', 'date', 'marker', 'dataIndex', 'data', 'seriesIndex'),
+  label: param.date,
+  style: pick(param, 'color'),
+  series: {
+    label: param.seriesName,
+    ...dataset[param.seriesIndex],
+  },
+});
+
+export default class CalendarChartComponent extends Component {
+  itemTooltipElement;
+
+  @tracked tooltipItem;
+
+  @action
+  setup(element) {
+    this.itemTooltipElement = element.querySelector('[data-role=itemTooltip]');
+  }
+
+  @action
+  tooltipFormatter(params, dataset) {
+    this.tooltipItem = toTooltipItem(params, dataset);
+
+    return this.itemTooltipElement;
+  }
+}
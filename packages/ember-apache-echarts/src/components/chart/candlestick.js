@@ -0,0 +1,74 @@
+import pick from 'lodash/pick';
+import { action } from '@ember/object';
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+
+/**
+ * Converts an EChart tooltip param into a standardized & simplied object this
+ * component can yield to custom tooltip components.
+ *
+ * The object returned from this function includes the following properties:
+ *
+ * `label`
+ * : The start of the period for the item as a Unix timestamp.
+ *
+ * `category`
+ * : The start of the period for the item, formatted using the
+ *   `categoryAxisFormatter` provided to the candlestick chart, if any.
+ *
+ * `open`, `high`, `low`, `close`
+ * : The prices for the period, formatted using the `valueAxisFormatter`
+ *   provided to the candlestick chart, if any.
+ *
+ * `change`
+ * : The difference between the closing and opening prices, formatted using the
+ *   `valueAxisFormatter` provided to the candlestick chart, if any.
+ *
+ * `isIncrease`
+ * : Whether the price closed at or above the price it opened at.
+ *
+ * `volume`
+ * : The volume for the period, formatted using the `volumeAxisFormatter`
+ *   provided to the candlestick chart, if any. Only defined when a
+ *   `volumeProperty` is provided.
+ *
+ * `marker`
+ * : Raw HTML that renders the marker used to identify the item on the chart.
+ *
+ * `data`
+ * : The data object for the period.
+ */
+const toTooltipItem = (param) => ({
+  ...pick(
+    param,
+    'category',
+    'open',
+    'high',
+    'low',
+    'close',
+    'change',
+    'isIncrease',
+    'volume',
+    'marker',
+    'data'
+  ),
+  label: param.name,
+});
+
+export default class CandlestickChartComponent extends Component {
+  itemTooltipElement;
+
+  @tracked tooltipItem;
+
+  @action
+  setup(element) {
+    this.itemTooltipElement = element.querySelector('[data-role=itemTooltip]');
+  }
+
+  @action
+  tooltipFormatter(params) {
+    this.tooltipItem = toTooltipItem(params);
+
+    return this.itemTooltipElement;
+  }
+}
@@ -0,0 +1,71 @@
+import pick from 'lodash/pick';
+import { action } from '@ember/object';
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+
+/**
+ * Converts an EChart tooltip param into a standardized & simplied object this
+ * component can yield to custom tooltip components.
+ *
+ * The object returned from this function includes the following properties:
+ *
+ * `label`
+ * : The label used for the funnel step.
+ *
+ * `value`
+ * : The value used for the funnel step.
+ *
+ * `marker`
+ * : Raw HTML that renders the marker used to identify the item on the chart.
+ *
+ * `dataIndex`
+ * : The index of the item in the data for the series this item belongs to.
+ *
+ * `data`
+ * : The data object from the chart data for this item.
+ *
+ * `conversion`
+ * : An object containing the percent of the previous step that converted to
+ *   this step as `fromPrevious` (undefined for the first step) and the percent
+ *   of the first step that converted to this step as `fromFirst`.
+ *
+ * `seriesIndex`
+ * : The index in the dataset of the series this item belongs to.
+ *
+ * `series`
+ * : The series object for the series this item belongs to.
+ */
+const toTooltipItem = (param, dataset) => ({
+  ...pick(
+    param,
+    'value',
+    'marker',
+    'data',
+    'dataIndex',
+    'seriesIndex',
+    'conversion'
+  ),
+  label: param.name,
+  series: {
+    label: param.seriesName,
+    ...dataset[param.seriesIndex],
+  },
+});
+
+export default class FunnelChartComponent extends Component {
+  itemTooltipElement;
+
+  @tracked tooltipItem;
+
+  @action
+  setup(element) {
+    this.itemTooltipElement = element.querySelector('[data-role=itemTooltip]');
+  }
+
+  @action
+  tooltipFormatter(params, dataset) {
+    this.tooltipItem = toTooltipItem(params, dataset);
+
+    return this.itemTooltipElement;
+  }
+}
@@ -0,0 +1,60 @@
+import pick from 'lodash/pick';
+import { action } from '@ember/object';
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+
+/**
+ * Converts an EChart tooltip param into a standardized & simplied object this
+ * component can yield to custom tooltip components.
+ *
+ * The object returned from this function includes the following properties:
+ *
+ * `label`
+ * : The name of the data item the pointer represents.
+ *
+ * `value`
+ * : The value of the data item, formatted using the `valueAxisFormatter`
+ *   provided to the gauge, if any.
+ *
+ * `marker`
+ * : Raw HTML that renders the marker used to identify the item on the chart.
+ *
+ * `dataIndex`
+ * : The index of the item in the data for the series this item belongs to.
+ *
+ * `data`
+ * : The data object from the chart data for this item.
+ *
+ * `seriesIndex`
+ * : The index in the dataset of the series (gauge) this item belongs to.
+ *
+ * `series`
+ * : The series object for the series (gauge) this item belongs to.
+ */
+const toTooltipItem = (param, dataset) => ({
+  ...pick(param, 'value', 'marker', 'dataIndex', 'seriesIndex'),
+  label: param.name,
+  data: dataset[param.seriesIndex]?.data[param.dataIndex],
+  series: {
+    label: param.seriesName,
+    ...dataset[param.seriesIndex],
+  },
+});
+
+export default class GaugeChartComponent extends Component {
+  itemTooltipElement;
+
+  @tracked tooltipItem;
+
+  @action
+  setup(element) {
+    this.itemTooltipElement = element.querySelector('[data-role=itemTooltip]');
+  }
+
+  @action
+  tooltipFormatter(params, dataset) {
+    this.tooltipItem = toTooltipItem(params, dataset);
+
+    return this.itemTooltipElement;
+  }
+}
@@ -0,0 +1,88 @@
+import pick from 'lodash/pick';
+import { action } from '@ember/object';
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+
+/**
+ * Converts an EChart tooltip param for a node into a standardized & simplied
+ * object this component can yield to custom tooltip components.
+ *
+ * The object returned from this function includes the following properties:
+ *
+ * `label`
+ * : The name of the node.
+ *
+ * `value`
+ * : The value of the node, if any, formatted using the `valueFormatter`
+ *   provided to the graph, if any.
+ *
+ * `marker`
+ * : Raw HTML that renders the marker used to identify the node on the chart.
+ *
+ * `style`
+ * : An object representing the graphical properties of the node. Currently
+ *   only supports `color`.
+ *
+ * `dataIndex`
+ * : The index of the node in the nodes.
+ *
+ * `data`
+ * : The node object from the chart data.
+ */
+const toTooltipNode = (param) => ({
+  ...pick(param, 'value', 'marker', 'dataIndex', 'data'),
+  label: param.name,
+  style: pick(param, 'color'),
+});
+
+/**
+ * Converts an EChart tooltip param for an edge into a standardized & simplied
+ * object this component can yield to custom tooltip components.
+ *
+ * The object returned from this function includes the following properties:
+ *
+ * `source`
+ * : The name of the node the edge starts from.
+ *
+ * `target`
+ * : The name of the node the edge ends at.
+ *
+ * `value`
+ * : The value of the edge, if any, formatted using the `valueFormatter`
+ *   provided to the graph, if any.
+ *
+ * `dataIndex`
+ * : The index of the edge in the edges.
+ *
+ * `data`
+ * : The edge object from the chart data.
+ */
+const toTooltipEdge = (param) =>
+  pick(param, 'source', 'target', 'value', 'dataIndex', 'data');
+
+export default class GraphChartComponent extends Component {
+  edgeTooltipElement;
+  nodeTooltipElement;
+
+  @tracked tooltipEdge;
+  @tracked tooltipNode;
+
+  @action
+  setup(element) {
+    this.edgeTooltipElement = element.querySelector('[data-role=edgeTooltip]');
+    this.nodeTooltipElement = element.querySelector('[data-role=nodeTooltip]');
+  }
+
+  @action
+  tooltipFormatter(params) {
+    if (params.dataType === 'edge') {
+      this.tooltipEdge = toTooltipEdge(params);
+
+      return this.edgeTooltipElement ?? '';
+    } else {
+      this.tooltipNode = toTooltipNode(params);
+
+      return this.nodeTooltipElement ?? '';
+    }
+  }
+}
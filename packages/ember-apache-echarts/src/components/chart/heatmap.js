@@ -0,0 +1,76 @@
+import pick from 'lodash/pick';
+import { action } from '@ember/object';
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+
+/**
+ * Converts an EChart tooltip param into a standardized & simplied object this
+ * component can yield to custom tooltip components.
+ *
+ * The object returned from this function includes the following properties:
+ *
+ * `label`
+ * : The category (column) for the item.
+ *
+ * `value`
+ * : The value for the item, formatted using the `valueAxisFormatter` provided
+ *   to the heatmap, if any.
+ *
+ * `category`
+ * : The category for the item, formatted using the `categoryAxisFormatter`
+ *   provided to the heatmap, if any.
+ *
+ * `marker`
+ * : Raw HTML that renders the marker used to identify the item on the chart.
+ *
+ * `style`
+ * : An object representing the graphical properties of the element being
+ *   hovered over. Currently only supports `color`.
+ *
+ * `dataIndex`
+ * : The index of the item in the data rendered by the heatmap.
+ *
+ * `data`
+ * : The data object from the chart data for this item.
+ *
+ * `seriesIndex`
+ * : The index in the dataset of the series (row) this item belongs to.
+ *
+ * `series`
+ * : The series object for the series (row) this item belongs to.
+ */
+const toTooltipItem = (param, dataset) => ({
+  ...pick(
+    param,
+    'value',
+    'category',
+    'marker',
+    'dataIndex',
+    'data',
+    'seriesIndex'
+  ),
+  label: param.name,
+  style: pick(param, 'color'),
+  series: {
+    label: param.seriesName,
+    ...dataset[param.seriesIndex],
+  },
+});
+
+export default class HeatmapChartComponent extends Component {
+  itemTooltipElement;
+
+  @tracked tooltipItem;
+
+  @action
+  setup(element) {
+    this.itemTooltipElement = element.querySelector('[data-role=itemTooltip]');
+  }
+
+  @action
+  tooltipFormatter(params, dataset) {
+    this.tooltipItem = toTooltipItem(params, dataset);
+
+    return this.itemTooltipElement;
+  }
+}
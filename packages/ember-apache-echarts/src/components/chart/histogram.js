@@ -0,0 +1,66 @@
+import pick from 'lodash/pick';
+import { action } from '@ember/object';
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+
+/**
+ * Converts an EChart tooltip param into a standardized & simplied object this
+ * component can yield to custom tooltip components.
+ *
+ * The object returned from this function includes the following properties:
+ *
+ * `label`
+ * : The label of the bin on the category axis for the item.
+ *
+ * `value`
+ * : The number of values within the bin, formatted using the
+ *   `valueAxisFormatter` provided to the histogram, if any.
+ *
+ * `bin`
+ * : The bin for the item, with the `start` and `end` of the bin and the `count`
+ *   of the values within it.
+ *
+ * `marker`
+ * : Raw HTML that renders the marker used to identify the item on the chart.
+ *
+ * `style`
+ * : An object representing the graphical properties of the element being
+ *   hovered over. Currently only supports `color`.
+ *
+ * `dataIndex`
+ * : The index of the bin for this item.
+ *
+ * `seriesIndex`
+ * : The index in the dataset of the series this item belongs to.
+ *
+ * `series`
+ * : The series object for the series this item belongs to, where the data are
+ *   the bins of the series.
+ */
+const toTooltipItem = (param, dataset) => ({
+  ...pick(param, 'value', 'bin', 'marker', 'dataIndex', 'seriesIndex'),
+  label: param.name,
+  style: pick(param, 'color'),
+  series: {
+    label: param.seriesName,
+    ...dataset[param.seriesIndex],
+  },
+});
+
+export default class HistogramChartComponent extends Component {
+  itemTooltipElement;
+
+  @tracked tooltipItem;
+
+  @action
+  setup(element) {
+    this.itemTooltipElement = element.querySelector('[data-role=itemTooltip]');
+  }
+
+  @action
+  tooltipFormatter(params, dataset) {
+    this.tooltipItem = toTooltipItem(params, dataset);
+
+    return this.itemTooltipElement;
+  }
+}
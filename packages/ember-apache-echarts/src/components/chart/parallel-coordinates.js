@@ -0,0 +1,60 @@
+import pick from 'lodash/pick';
+import { action } from '@ember/object';
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+
+/**
+ * Converts an EChart tooltip param into a standardized & simplied object this
+ * component can yield to custom tooltip components.
+ *
+ * The object returned from this function includes the following properties:
+ *
+ * `label`
+ * : The label of the series the row belongs to, if any.
+ *
+ * `marker`
+ * : Raw HTML that renders the marker used to identify the row on the chart.
+ *
+ * `style`
+ * : An object representing the graphical properties of the element being
+ *   hovered over. Currently only supports `color`.
+ *
+ * `dataIndex`
+ * : The index of the row in the data for the series this row belongs to.
+ *
+ * `data`
+ * : The row from the chart data.
+ *
+ * `seriesIndex`
+ * : The index in the dataset of the series this row belongs to.
+ *
+ * `series`
+ * : The series object for the series this row belongs to.
+ */
+const toTooltipItem = (param, dataset) => ({
+  ...pick(param, 'marker', 'dataIndex', 'data', 'seriesIndex'),
+  label: param.seriesName,
+  style: pick(param, 'color'),
+  series: {
+    label: param.seriesName,
+    ...dataset[param.seriesIndex],
+  },
+});
+
+export default class ParallelCoordinatesChartComponent extends Component {
+  itemTooltipElement;
+
+  @tracked tooltipItem;
+
+  @action
+  setup(element) {
+    this.itemTooltipElement = element.querySelector('[data-role=itemTooltip]');
+  }
+
+  @action
+  tooltipFormatter(params, dataset) {
+    this.tooltipItem = toTooltipItem(params, dataset);
+
+    return this.itemTooltipElement;
+  }
+}
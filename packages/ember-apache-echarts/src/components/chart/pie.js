@@ -1,5 +1,6 @@
 import pick from 'lodash/pick';
 import { action } from '@ember/object';
+import { schedule } from '@ember/runloop';
 import Component from '@glimmer/component';
 import { tracked } from '@glimmer/tracking';
 
@@ -27,25 +28,66 @@ import { tracked } from '@glimmer/tracking';
  * `slice`
  * : An object representing the graphical properties of the slice: `color` and
  *   `percent` of circle.
+ *
+ * `collapsed`
+ * : The data objects collapsed into the slice when it's the slice for the
+ *   collapsed categories of a pie chart with `maxCategories` set.
+ *
+ * `seriesIndex`
+ * : The index in the dataset of the series this item belongs to.
+ *
+ * `series`
+ * : The series object for the series this item belongs to.
  */
-const toTooltipItem = (param) => ({
-  ...pick(param, 'value', 'marker', 'data', 'dataIndex'),
+const toTooltipItem = (param, dataset) => ({
+  ...pick(
+    param,
+    'value',
+    'marker',
+    'data',
+    'dataIndex',
+    'seriesIndex',
+    'collapsed'
+  ),
   label: param.name,
   slice: pick(param, 'color', 'percent'),
-
-  // TODO: Think about how/if we need to support multiple series for pie charts.
-  //       [twl 30.Apr.22]
-  //
-  // series: {
-  //   ...dataset[param.seriesIndex],
-  //   index: param.seriesIndex,
-  // },
+  series: {
+    label: param.seriesName,
+    ...dataset[param.seriesIndex],
+  },
 });
 
+/**
+ * A center yielded to the `center` block is the center reported by the pie
+ * chart modifier, which includes the following properties:
+ *
+ * `x`, `y`, `width`, `height`
+ * : The box around the hole of the donut, relative to the chart.
+ *
+ * `total`
+ * : The total of the values of the series rendered in the donut.
+ *
+ * `series`
+ * : The series object for the series rendered in the donut.
+ *
+ * `seriesIndex`
+ * : The index in the dataset of the series rendered in the donut.
+ *
+ * `rings`
+ * : For the `nested` layout, the `series`, `seriesIndex` and `total` of each
+ *   ring, from the innermost ring to the outermost. The `series`, `seriesIndex`
+ *   and `total` of the center are those of the ring of the hovered slice, if
+ *   any, or of the innermost ring.
+ *
+ * `hoveredSlice`
+ * : The slice being hovered over, if any, with its `label`, `value`,
+ *   `percent`, `color`, `data` and `seriesIndex`.
+ */
 export default class PieChartComponent extends Component {
   itemTooltipElement;
 
   @tracked tooltipItem;
+  @tracked centers = [];
 
   @action
   setup(element) {
@@ -53,9 +95,16 @@ export default class PieChartComponent extends Component {
   }
 
   @action
-  tooltipFormatter(params) {
-    this.tooltipItem = toTooltipItem(params);
+  tooltipFormatter(params, dataset) {
+    this.tooltipItem = toTooltipItem(params, dataset);
 
     return this.itemTooltipElement;
   }
+
+  @action
+  updateCenters(centers) {
+    // The centers are reported while the chart is being rendered, so wait until
+    // rendering is complete before rendering them
+    schedule('afterRender', () => (this.centers = centers));
+  }
 }
@@ -0,0 +1,60 @@
+import pick from 'lodash/pick';
+import { action } from '@ember/object';
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+
+/**
+ * Converts an EChart tooltip param into a standardized & simplied object this
+ * component can yield to custom tooltip components.
+ *
+ * The object returned from this function includes the following properties:
+ *
+ * `label`
+ * : The label of the series the polygon represents.
+ *
+ * `values`
+ * : An array with an entry for each indicator containing the `category` for
+ *   the indicator, the `value` for the series formatted using the
+ *   `valueAxisFormatter` provided to the radar chart, if any, and the `data`
+ *   object from the chart data for that value.
+ *
+ * `marker`
+ * : Raw HTML that renders the marker used to identify the item on the chart.
+ *
+ * `style`
+ * : An object representing the graphical properties of the element being
+ *   hovered over. Currently only supports `color`.
+ *
+ * `seriesIndex`
+ * : The index in the dataset of the series the polygon represents.
+ *
+ * `series`
+ * : The series object for the series the polygon represents.
+ */
+const toTooltipItem = (param, dataset) => ({
+  ...pick(param, 'values', 'marker', 'seriesIndex'),
+  label: param.name,
+  style: pick(param, 'color'),
+  series: {
+    label: param.name,
+    ...dataset[param.seriesIndex],
+  },
+});
+
+export default class RadarChartComponent extends Component {
+  itemTooltipElement;
+
+  @tracked tooltipItem;
+
+  @action
+  setup(element) {
+    this.itemTooltipElement = element.querySelector('[data-role=itemTooltip]');
+  }
+
+  @action
+  tooltipFormatter(params, dataset) {
+    this.tooltipItem = toTooltipItem(params, dataset);
+
+    return this.itemTooltipElement;
+  }
+}
@@ -0,0 +1,88 @@
+import pick from 'lodash/pick';
+import { action } from '@ember/object';
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+
+/**
+ * Converts an EChart tooltip param for a node into a standardized & simplied
+ * object this component can yield to custom tooltip components.
+ *
+ * The object returned from this function includes the following properties:
+ *
+ * `label`
+ * : The name of the node.
+ *
+ * `value`
+ * : The total value flowing through the node, formatted using the
+ *   `valueFormatter` provided to the sankey, if any.
+ *
+ * `marker`
+ * : Raw HTML that renders the marker used to identify the node on the chart.
+ *
+ * `style`
+ * : An object representing the graphical properties of the node. Currently
+ *   only supports `color`.
+ *
+ * `dataIndex`
+ * : The index of the node in the nodes.
+ *
+ * `data`
+ * : The node object from the chart data.
+ */
+const toTooltipNode = (param) => ({
+  ...pick(param, 'value', 'marker', 'dataIndex', 'data'),
+  label: param.name,
+  style: pick(param, 'color'),
+});
+
+/**
+ * Converts an EChart tooltip param for a link into a standardized & simplied
+ * object this component can yield to custom tooltip components.
+ *
+ * The object returned from this function includes the following properties:
+ *
+ * `source`
+ * : The name of the node the link flows from.
+ *
+ * `target`
+ * : The name of the node the link flows to.
+ *
+ * `value`
+ * : The value of the link, formatted using the `valueFormatter` provided to
+ *   the sankey, if any.
+ *
+ * `dataIndex`
+ * : The index of the link in the links.
+ *
+ * `data`
+ * : The link object from the chart data.
+ */
+const toTooltipLink = (param) =>
+  pick(param, 'source', 'target', 'value', 'dataIndex', 'data');
+
+export default class SankeyChartComponent extends Component {
+  linkTooltipElement;
+  nodeTooltipElement;
+
+  @tracked tooltipLink;
+  @tracked tooltipNode;
+
+  @action
+  setup(element) {
+    this.linkTooltipElement = element.querySelector('[data-role=linkTooltip]');
+    this.nodeTooltipElement = element.querySelector('[data-role=nodeTooltip]');
+  }
+
+  @action
+  tooltipFormatter(params) {
+    if (params.dataType === 'edge') {
+      this.tooltipLink = toTooltipLink(params);
+
+      return this.linkTooltipElement ?? '';
+    } else {
+      this.tooltipNode = toTooltipNode(params);
+
+      return this.nodeTooltipElement ?? '';
+    }
+  }
+}
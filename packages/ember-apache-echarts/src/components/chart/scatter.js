@@ -0,0 +1,84 @@
+import pick from 'lodash/pick';
+import { action } from '@ember/object';
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+
+/**
+ * Converts an EChart tooltip param into a standardized & simplied object this
+ * component can yield to custom tooltip components.
+ *
+ * The object returned from this function includes the same properties as the
+ * tooltip items yielded by `Chart::Bar`, along with the following:
+ *
+ * `label`
+ * : The label for the item, as defined by the `categoryProperty`.
+ *
+ * `category`
+ * : The category of the item, as defined by the `categoryProperty`. Since the
+ *   scatter chart has no category axis, the category is not formatted.
+ *
+ * `value`
+ * : The Y value for the item, formatted using the `yAxisFormatter` provided to
+ *   the scatter chart, if any.
+ *
+ * `x`, `y`
+ * : The X and Y values for the item, formatted using the `xAxisFormatter` and
+ *   `yAxisFormatter` provided to the scatter chart, if any.
+ *
+ * `size`
+ * : The size value for the item, formatted using the `sizeFormatter` provided
+ *   to the scatter chart, if any. Only present for bubble charts.
+ *
+ * `marker`
+ * : Raw HTML that renders the marker used to identify the item on the chart.
+ *
+ * `style`
+ * : An object representing the graphical properties of the element being
+ *   hovered over. Currently only supports `color`.
+ *
+ * `dataIndex`
+ * : The index of the item in the data for the series this item belongs to.
+ *
+ * `data`
+ * : The data object from the chart data for this item.
+ *
+ * `seriesIndex`
+ * : The index in the dataset of the series this item belongs to.
+ *
+ * `series`
+ * : The series object for the series this item belongs to.
+ */
+const toTooltipItem = (param, dataset) => ({
+  ...pick(param, 'marker', 'dataIndex', 'seriesIndex', 'x', 'y'),
+  ...(param.size != null && {
+    size: param.size,
+  }),
+  value: param.y,
+  label: param.name,
+  category: param.name,
+  // The chart data only contains the plotted values, so use the original item
+  data: dataset[param.seriesIndex]?.data?.[param.dataIndex] ?? param.data,
+  style: pick(param, 'color'),
+  series: {
+    label: param.seriesName,
+    ...dataset[param.seriesIndex],
+  },
+});
+
+export default class ScatterChartComponent extends Component {
+  itemTooltipElement;
+
+  @tracked tooltipItem;
+
+  @action
+  setup(element) {
+    this.itemTooltipElement = element.querySelector('[data-role=itemTooltip]');
+  }
+
+  @action
+  tooltipFormatter(params, dataset) {
+    this.tooltipItem = toTooltipItem(params, dataset);
+
+    return this.itemTooltipElement;
+  }
+}
@@ -0,0 +1,115 @@
+import pick from 'lodash/pick';
+import { action } from '@ember/object';
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+
+/**
+ * Converts an EChart tooltip param into a standardized & simplied object this
+ * component can yield to custom tooltip components.
+ *
+ * The object returned from this function includes the following properties:
+ *
+ * `label`, `category`
+ * : The time for the item, formatted using the `categoryAxisFormatter`
+ *   provided to the time series, if any, or in the `timezone`.
+ *
+ * `time`
+ * : The time for the item as a `Date`.
+ *
+ * `value`
+ * : The value on the value axis for the item, formatted using the
+ *   `valueAxisFormatter` provided to the time series, if any.
+ *
+ * `isAfterGap`
+ * : Whether one or more intervals are missing between the previous item in the
+ *   series and this item.
+ *
+ * `marker`
+ * : Raw HTML that renders the marker used to identify the item on the chart.
+ *
+ * `style`
+ * : An object representing the graphical properties of the element being
+ *   hovered over. Currently only supports `color`.
+ *
+ * `dataIndex`
+ * : The index of the item in the data for the series this item belongs to.
+ *
+ * `data`
+ * : The data object from the chart data for this item.
+ *
+ * `seriesIndex`
+ * : The index in the dataset of the series this item belongs to.
+ *
+ * `series`
+ * : The series object for the series this item belongs to.
+ */
+const toTooltipItem = (param, dataset) => ({
+  ...pick(
+    param,
+    'value',
+    'category',
+    'time',
+    'isAfterGap',
+    'marker',
+    'dataIndex',
+    'data',
+    'seriesIndex'
+  ),
+  label: param.category,
+  style: pick(param, 'color'),
+  series: {
+    label: param.seriesName,
+    ...dataset[param.seriesIndex],
+  },
+});
+
+/**
+ * Converts an axis EChart tooltip param into an object describing the axis the
+ * tooltip is for, including the `time` for the axis value as a `Date`.
+ */
+const toTooltipAxis = ([firstParam]) => ({
+  id: firstParam.axisId,
+  index: firstParam.axisIndex,
+  type: firstParam.axisType,
+  value: firstParam.axisValue,
+  valueLabel: firstParam.axisValueLabel,
+  dimension: firstParam.axisDim,
+  time: new Date(firstParam.axisValue),
+});
+
+export default class TimeSeriesChartComponent extends Component {
+  axisTooltipElement;
+  itemTooltipElement;
+
+  @tracked tooltipItem;
+  @tracked tooltipItems;
+  @tracked tooltipAxis;
+
+  // HACK: See the note on `useDefaultGroupedOrStackedTooltip` in the bar chart
+  //       component. Time series default to the `groupedLine` variant.
+  get useDefaultGroupedOrStackedTooltip() {
+    const { variant = 'groupedLine' } = this.args;
+
+    return variant.startsWith('group') || variant.startsWith('stacked');
+  }
+
+  @action
+  setup(element) {
+    this.axisTooltipElement = element.querySelector('[data-role=axisTooltip]');
+    this.itemTooltipElement = element.querySelector('[data-role=itemTooltip]');
+  }
+
+  @action
+  tooltipFormatter(params, dataset) {
+    if (params.length) {
+      this.tooltipAxis = toTooltipAxis(params);
+      this.tooltipItems = params.map((param) => toTooltipItem(param, dataset));
+
+      return this.axisTooltipElement;
+    } else {
+      this.tooltipItem = toTooltipItem(params, dataset);
+
+      return this.itemTooltipElement;
+    }
+  }
+}
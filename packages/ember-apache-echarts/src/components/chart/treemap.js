@@ -0,0 +1,52 @@
+import pick from 'lodash/pick';
+import { action } from '@ember/object';
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+
+/**
+ * Converts an EChart tooltip param into a standardized & simplied object this
+ * component can yield to custom tooltip components.
+ *
+ * The object returned from this function includes the following properties:
+ *
+ * `label`
+ * : The name of the node.
+ *
+ * `value`
+ * : The value of the node, which is the sum of the values of its children for
+ *   nodes with children.
+ *
+ * `marker`
+ * : Raw HTML that renders the marker used to identify the item on the chart.
+ *
+ * `path`
+ * : An array of the names of the nodes from the top of the hierarchy to this
+ *   node.
+ *
+ * `style`
+ * : An object representing the graphical properties of the element being
+ *   hovered over. Currently only supports `color`.
+ */
+const toTooltipItem = (param) => ({
+  ...pick(param, 'value', 'marker', 'path'),
+  label: param.name,
+  style: pick(param, 'color'),
+});
+
+export default class TreemapChartComponent extends Component {
+  itemTooltipElement;
+
+  @tracked tooltipItem;
+
+  @action
+  setup(element) {
+    this.itemTooltipElement = element.querySelector('[data-role=itemTooltip]');
+  }
+
+  @action
+  tooltipFormatter(params) {
+    this.tooltipItem = toTooltipItem(params);
+
+    return this.itemTooltipElement;
+  }
+}
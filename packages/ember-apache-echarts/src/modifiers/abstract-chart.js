@@ -1,3 +1,4 @@
+import countBy from 'lodash/countBy';
 import merge from 'lodash/merge';
 import transform from 'lodash/transform';
 import { registerDestructor } from '@ember/destroyable';
@@ -26,6 +27,28 @@ const baseStyle = {
 // The index for the overlay layer
 const Z_OVERLAY = 100;
 
+// The default number of pieces in a piecewise color scale
+const DEFAULT_COLOR_SCALE_SPLIT_NUMBER = 5;
+
+/**
+ * Splits the range into `splitNumber` equal pieces labeled using the
+ * `formatter`, if any.
+ */
+const computeColorScalePieces = (range, splitNumber, formatter) => {
+  const step = (range.maximum - range.minimum) / splitNumber || 1;
+
+  return Array.from({ length: splitNumber }, (value, index) => {
+    const min = range.minimum + step * index;
+    const max = index === splitNumber - 1 ? range.maximum : min + step;
+
+    return {
+      min,
+      max,
+      label: `${formatter(min)} - ${formatter(max)}`,
+    };
+  });
+};
+
 export default class AbstractChartModifier extends Modifier {
   chart;
   resizeObserver;
@@ -135,7 +158,7 @@ export default class AbstractChartModifier extends Modifier {
     // Resize the chart whenever the containing element resizes
     let firstResize = true;
 
-    this.resizeObserver = onElementResize(element, () => {
+    this.resizeObserver = this.onResize(element, () => {
       if (!firstResize) {
         chart.resize();
         this.configureChart(chartArgs, chart, element);
@@ -147,6 +170,37 @@ export default class AbstractChartModifier extends Modifier {
     return chart;
   }
 
+  /**
+   * Watches the `element` for resize events and calls the `callback` whenever
+   * they occur, returning the observer used to watch for them.
+   */
+  onResize(element, callback) {
+    return onElementResize(element, callback);
+  }
+
+  /**
+   * Changes the default behavior of how selections work on the legend, so that
+   * clicking an item when all items are selected selects only that item, and
+   * deselecting the last selected item selects all of the items again.
+   */
+  configureLegendInverseSelect(chart) {
+    chart.handle('legendselectchanged', ({ name, selected }) => {
+      const selections = Object.values(selected);
+      const counts = countBy(selections);
+
+      // If the only one selected is the one that just changed, or if nothing is
+      // selected, then invert the selection
+      if (
+        (counts.false === 1 && selected[name] === false) ||
+        counts.false === selections.length
+      ) {
+        chart.dispatchAction({
+          type: 'legendInverseSelect',
+        });
+      }
+    });
+  }
+
   /**
    * Builds a basic layout for this chart, returning the `context` and `config`
    * that can be used to extend the layout further.
@@ -197,26 +251,35 @@ export default class AbstractChartModifier extends Modifier {
       x: 0,
       y: 0,
     };
-    const styles = transform(
-      Object.keys(this.defaultStyles),
-      (styles, type) =>
-        (styles[type] = {
-          ...baseStyle,
-          ...this.defaultStyles[type],
-          ...args[`${type}Style`],
-        }),
-      {}
-    );
 
     return {
       layout,
       args,
       chart,
-      styles,
+      styles: this.createStyles(args),
       data: this.createContextData(args, chart),
     };
   }
 
+  /**
+   * Generates the styles for each type of element on this chart by merging the
+   * styles in `args` with the default styles.
+   */
+  createStyles(args) {
+    const defaultStyles = this.defaultStyles;
+
+    return transform(
+      Object.keys(defaultStyles),
+      (styles, type) =>
+        (styles[type] = {
+          ...baseStyle,
+          ...defaultStyles[type],
+          ...args[`${type}Style`],
+        }),
+      {}
+    );
+  }
+
   /**
    * Generates the `data` section of the context used to construct this chart.
    */
@@ -297,19 +360,70 @@ export default class AbstractChartModifier extends Modifier {
     ]);
 
     const legendMetrics = this.computeLegendMetrics(context, config, style);
+
+    return this.reserveLegendSpace(context, legendMetrics);
+  }
+
+  /**
+   * Adds a color scale legend to `config`, which is used in place of the
+   * standard legend by charts that color their data by value, and returns the
+   * new context. The range of the color scale is taken from `valueRange` in the
+   * context data.
+   *
+   * Since the color scale is needed to color the data, it's added to `config`
+   * even when no legend is displayed, but is hidden.
+   */
+  addColorScaleLegend(context, config) {
+    const { args, data, layout } = context;
+    const { legend } = args;
+
+    if (!legend || legend === 'none') {
+      mergeAtPaths(config, {
+        visualMap: [
+          {
+            ...this.generateColorScaleConfig(data.valueRange, args),
+            show: false,
+          },
+        ],
+      });
+
+      return layout;
+    }
+
+    const style = resolveStyle(context.styles.legend, layout);
+
+    mergeAtPaths(config, [
+      this.generateColorScaleLegendConfig(data.valueRange, args, layout, style),
+    ]);
+
+    const legendMetrics = this.computeColorScaleLegendMetrics(
+      context,
+      config,
+      style
+    );
+
+    return this.reserveLegendSpace(context, legendMetrics);
+  }
+
+  /**
+   * Returns the layout remaining after reserving space for a legend with the
+   * given `metrics` at the position specified by the `legend` argument.
+   */
+  reserveLegendSpace(context, metrics) {
+    const { legend } = context.args;
     const newLayout = { ...context.layout };
 
     if (legend.startsWith('top') || legend.startsWith('bottom')) {
-      newLayout.height -= legendMetrics.height;
+      newLayout.height -= metrics.height;
 
       if (legend.startsWith('top')) {
-        newLayout.y += legendMetrics.height;
+        newLayout.y += metrics.height;
       }
     } else {
-      newLayout.width -= legendMetrics.width;
+      newLayout.width -= metrics.width;
 
       if (legend.startsWith('left')) {
-        newLayout.x += legendMetrics.width;
+        newLayout.x += metrics.width;
       }
     }
 
@@ -590,7 +704,6 @@ export default class AbstractChartModifier extends Modifier {
    * Generates the configuration for a legend element.
    */
   generateLegendConfig(series, args, layout, style) {
-    const { legend = 'topCenter' } = args;
     const isVertical = this.getLegendOrientation(args) === 'vertical';
     const config = {
       legend: {
@@ -627,6 +740,21 @@ export default class AbstractChartModifier extends Modifier {
       },
     };
 
+    merge(
+      config.legend,
+      this.generateLegendPositionConfig(args, layout, style)
+    );
+
+    return config;
+  }
+
+  /**
+   * Generates the `top`/`bottom` and `left`/`right` properties used to position
+   * a legend element according to the `legend` argument.
+   */
+  generateLegendPositionConfig(args, layout, style) {
+    const { legend = 'topCenter' } = args;
+
     let xLayout, yLayout;
 
     if (legend.startsWith('top') || legend.endsWith('Top')) {
@@ -679,12 +807,110 @@ export default class AbstractChartModifier extends Modifier {
       };
     }
 
-    merge(config.legend, {
+    return {
       ...xLayout,
       ...yLayout,
-    });
+    };
+  }
 
-    return config;
+  /**
+   * Generates the base configuration for the color scale (an ECharts visual
+   * map) used to color data by value.
+   *
+   * The color scale is configured using the following arguments:
+   *
+   * `colorScale`
+   * : The type of color scale: `continuous` (default) or `piecewise`
+   *
+   * `colorScaleSplitNumber`
+   * : The number of pieces to split a `piecewise` color scale into. Defaults
+   *   to 5.
+   *
+   * `colorRange`
+   * : An array of the colors used from the minimum to the maximum value
+   *
+   * `valueAxisMin`, `valueAxisMax`
+   * : The minimum and maximum values of the color scale. Default to the
+   *   minimum and maximum in `valueRange`.
+   *
+   * `valueAxisFormatter`
+   * : The function used to format the values in the legend. Passed the value
+   *   and `legend`.
+   */
+  generateColorScaleConfig(valueRange, args) {
+    const { colorScale = 'continuous', colorRange } = args;
+    const { valueAxisFormatter, valueAxisMin, valueAxisMax } = args;
+    const { colorScaleSplitNumber = DEFAULT_COLOR_SCALE_SPLIT_NUMBER } = args;
+    const range = {
+      minimum: valueAxisMin ?? valueRange.minimum,
+      maximum: valueAxisMax ?? valueRange.maximum,
+    };
+    const format = (value) =>
+      valueAxisFormatter
+        ? valueAxisFormatter(value, 'legend')
+        : echarts.format.addCommas(value);
+
+    return {
+      type: colorScale === 'piecewise' ? 'piecewise' : 'continuous',
+      min: range.minimum,
+      max: range.maximum,
+      ...(colorScale === 'piecewise'
+        ? {
+            pieces: computeColorScalePieces(
+              range,
+              colorScaleSplitNumber,
+              format
+            ),
+          }
+        : {
+            text: [format(range.maximum), format(range.minimum)],
+          }),
+      ...(colorRange && {
+        inRange: {
+          color: colorRange,
+        },
+      }),
+    };
+  }
+
+  /**
+   * Generates the configuration for a color scale legend element.
+   */
+  generateColorScaleLegendConfig(valueRange, args, layout, style) {
+    const isVertical = this.getLegendOrientation(args) === 'vertical';
+    const isPiecewise = args.colorScale === 'piecewise';
+
+    return {
+      visualMap: [
+        {
+          ...this.generateColorScaleConfig(valueRange, args),
+          orient: isVertical ? 'vertical' : 'horizontal',
+          itemWidth: 20,
+          itemHeight: isPiecewise ? 14 : 140,
+          itemGap: isVertical ? 10 : 20,
+          textGap: isPiecewise ? 5 : 10,
+          align: 'auto',
+          backgroundColor: style.backgroundColor,
+          // Safari only parses contituent values, so use "top" as a proxy for all
+          borderWidth: style.borderTopWidth,
+          borderColor: style.borderTopColor,
+          padding: [
+            style.paddingTop,
+            style.paddingRight,
+            style.paddingBottom,
+            style.paddingLeft,
+          ],
+          textStyle: {
+            color: style.color,
+            fontStyle: style.fontStyle,
+            fontWeight: style.fontWeight,
+            fontFamily: style.fontFamily,
+            fontSize: style.fontSize,
+          },
+          ...this.generateLegendPositionConfig(args, layout, style),
+        },
+      ],
+    };
   }
 
   /**
@@ -880,24 +1106,7 @@ export default class AbstractChartModifier extends Modifier {
     // hardcoded values are the defaults for `itemWidth` and `itemGap`
     const markerWidth = config.legend.itemWidth ?? 25;
     const itemGap = config.legend.itemGap ?? 10;
-    // Divide by 2 on border, since it appears to be drawn at the end of the
-    // legend rather than inside or outside the legend
-    const metrics = {
-      width:
-        style.paddingLeft +
-        style.paddingRight +
-        style.borderLeftWidth / 2 +
-        style.borderRightWidth / 2 +
-        style.marginLeft +
-        style.marginRight,
-      height:
-        style.paddingTop +
-        style.paddingBottom +
-        style.borderTopWidth / 2 +
-        style.borderBottomWidth / 2 +
-        style.marginTop +
-        style.marginBottom,
-    };
+    const metrics = this.computeLegendBoxMetrics(style);
 
     if (orientation === 'horizontal') {
       const labelMetrics = labels.reduce(
@@ -929,4 +1138,80 @@ export default class AbstractChartModifier extends Modifier {
 
     return metrics;
   }
+
+  /**
+   * Computes the width and height of the color scale legend, after it has been
+   * added into the `config` using the compiled legend `style`.
+   */
+  computeColorScaleLegendMetrics(context, config, style) {
+    const { layout, args } = context;
+    const visualMap = config.visualMap[0];
+    const isHorizontal = this.getLegendOrientation(args) === 'horizontal';
+    const { itemWidth, itemHeight, itemGap, textGap } = visualMap;
+    const metrics = this.computeLegendBoxMetrics(style);
+
+    if (visualMap.type === 'continuous') {
+      const textMetrics = computeMaxTextMetrics(visualMap.text, style);
+
+      if (isHorizontal) {
+        metrics.width += itemHeight + 2 * (textGap + textMetrics.width);
+        metrics.height += Math.max(itemWidth, textMetrics.height);
+      } else {
+        metrics.width += Math.max(itemWidth, textMetrics.width);
+        metrics.height += itemHeight + 2 * (textGap + textMetrics.height);
+      }
+    } else {
+      const labels = visualMap.pieces.map((piece) => piece.label);
+      const labelMetrics = computeMaxTextMetrics(labels, style);
+      const itemCount = labels.length;
+
+      if (isHorizontal) {
+        metrics.width +=
+          labels.reduce(
+            (width, label) =>
+              width +
+              itemWidth +
+              textGap +
+              computeTextMetrics(label, style).width,
+            0
+          ) +
+          itemGap * (itemCount - 1);
+        metrics.height += Math.max(itemHeight, labelMetrics.height);
+      } else {
+        metrics.width += itemWidth + textGap + labelMetrics.width;
+        metrics.height +=
+          Math.max(itemHeight, labelMetrics.height) * itemCount +
+          itemGap * (itemCount - 1);
+      }
+    }
+
+    metrics.width = Math.min(layout.width, metrics.width);
+
+    return metrics;
+  }
+
+  /**
+   * Computes the width and height taken up by the margin, border and padding of
+   * the legend using the compiled legend `style`.
+   */
+  computeLegendBoxMetrics(style) {
+    // Divide by 2 on border, since it appears to be drawn at the end of the
+    // legend rather than inside or outside the legend
+    return {
+      width:
+        style.paddingLeft +
+        style.paddingRight +
+        style.borderLeftWidth / 2 +
+        style.borderRightWidth / 2 +
+        style.marginLeft +
+        style.marginRight,
+      height:
+        style.paddingTop +
+        style.paddingBottom +
+        style.borderTopWidth / 2 +
+        style.borderBottomWidth / 2 +
+        style.marginTop +
+        style.marginBottom,
+    };
+  }
 }
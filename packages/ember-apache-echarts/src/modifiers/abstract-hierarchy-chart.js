@@ -0,0 +1,246 @@
+import { tracked } from '@glimmer/tracking';
+import mergeAtPaths from '../utils/merge-at-paths';
+import getSeriesTree from '../utils/data/get-series-tree';
+import computeTextHeight from '../utils/layout/compute-text-height';
+import computeTextMetrics from '../utils/layout/compute-text-metrics';
+import resolveStyle from '../utils/style/resolve-style';
+import AbstractChartModifier from './abstract-chart';
+
+const DEFAULT_CATEGORY_PROPERTY = 'name';
+const DEFAULT_VALUE_PROPERTY = 'value';
+
+// The text rendered between the items in the breadcrumb
+const BREADCRUMB_SEPARATOR = ' › ';
+
+/**
+ * Base class for charts that render hierarchical series all at once, such as
+ * treemaps and sunbursts.
+ *
+ * Clicking a node with children zooms into that node, which is tracked by its
+ * path of names from the top of the hierarchy. While zoomed in, a breadcrumb is
+ * rendered below the title of the chart which can be used to zoom back out.
+ *
+ * Subclasses must implement `generatePlotConfig` to render the nodes passed in
+ * the `data` of the single series being laid out.
+ */
+export default class AbstractHierarchyChartModifier extends AbstractChartModifier {
+  @tracked zoomPath = [];
+
+  get defaultStyles() {
+    const styles = super.defaultStyles;
+
+    return {
+      ...styles,
+      breadcrumb: {
+        font: 'normal 14px Montserrat,sans-serif',
+        color: '#036E9B',
+        margin: 8,
+        marginTop: 0,
+      },
+    };
+  }
+
+  /**
+   * Adds the `path` of the node to the `params`.
+   */
+  formatTooltipParams(params, context) {
+    return {
+      ...params,
+      path: this.getNodePath(params, context),
+    };
+  }
+
+  /**
+   * Returns the names of the nodes from the top of the hierarchy to the node
+   * referenced by `params`.
+   */
+  getNodePath(params, context) {
+    // The first element is the root of the series, which isn't a node
+    return [
+      ...context.data.zoomPath,
+      ...params.treePathInfo.slice(1).map((info) => info.name),
+    ];
+  }
+
+  configureChart(args, chart) {
+    const { tooltipFormatter, onSelect } = args;
+    const { config, context } = this.buildLayout(args, chart);
+
+    chart.setOption(
+      {
+        ...config,
+        tooltip: {
+          trigger: 'item',
+          ...(tooltipFormatter && {
+            formatter: (params) =>
+              tooltipFormatter(this.formatTooltipParams(params, context)),
+          }),
+        },
+      },
+      {
+        notMerge: true,
+      }
+    );
+
+    chart.handle('click', (params) => {
+      if (!params.treePathInfo) {
+        return;
+      }
+
+      const path = this.getNodePath(params, context);
+
+      onSelect && onSelect(path);
+
+      if (params.data?.children?.length) {
+        this.zoomPath = path;
+      }
+    });
+  }
+
+  /**
+   * Generates the `data` section of the context used to construct this chart.
+   *
+   * All of the nodes are rendered within a single cell, so the context
+   * contains a single series whose data are the nodes at the current zoom
+   * level.
+   */
+  createContextData(args) {
+    const { categoryProperty = DEFAULT_CATEGORY_PROPERTY } = args;
+    const { valueProperty = DEFAULT_VALUE_PROPERTY } = args;
+    const tree = args.series
+      ? getSeriesTree(args.series, categoryProperty, valueProperty)
+      : getSeriesTree([{ data: args.data }], categoryProperty, valueProperty)[0]
+          .children;
+    const zoomPath = [];
+    let nodes = tree;
+
+    // Zoom as far along the path as still exists in the data
+    for (const name of this.zoomPath) {
+      const node = nodes.find((node) => node.name === name);
+
+      if (!node?.children?.length) {
+        break;
+      }
+
+      zoomPath.push(name);
+      nodes = node.children;
+    }
+
+    return {
+      series: [{ data: nodes }],
+      tree,
+      zoomPath,
+    };
+  }
+
+  /**
+   * Adds the title to `config` followed by the breadcrumb, if zoomed in, and
+   * returns the new context layout.
+   */
+  addTitle(context, config) {
+    return this.addBreadcrumb(
+      {
+        ...context,
+        layout: super.addTitle(context, config),
+      },
+      config
+    );
+  }
+
+  /**
+   * Adds the breadcrumb to `config` and returns the new context layout.
+   */
+  addBreadcrumb(context, config) {
+    const { layout, args, styles, data } = context;
+
+    if (!data.zoomPath.length) {
+      return layout;
+    }
+
+    const { breadcrumbRootLabel = 'All' } = args;
+    const style = resolveStyle(styles.breadcrumb, layout);
+
+    mergeAtPaths(config, [
+      this.generateBreadcrumbConfig(
+        [breadcrumbRootLabel, ...data.zoomPath],
+        layout,
+        style
+      ),
+    ]);
+
+    const textHeight = computeTextHeight(style);
+
+    return {
+      ...layout,
+      height: layout.height - textHeight,
+      y: layout.y + textHeight,
+    };
+  }
+
+  /**
+   * Generates the configuration for the breadcrumb, where each item except the
+   * last can be clicked to zoom out to that level. The first label is the label
+   * for the top of the hierarchy.
+   */
+  generateBreadcrumbConfig(labels, layout, style) {
+    const font = `${style.fontStyle} ${style.fontWeight} ${style.fontSize}px ${style.fontFamily}`;
+    const separatorWidth = computeTextMetrics(
+      BREADCRUMB_SEPARATOR,
+      style
+    ).width;
+    let x = 0;
+
+    const children = labels.map((label, index) => {
+      const isLast = index === labels.length - 1;
+      const text = isLast ? `${label}` : `${label}${BREADCRUMB_SEPARATOR}`;
+      const element = {
+        type: 'text',
+        x,
+        style: {
+          fill: style.color,
+          text,
+          font,
+        },
+        ...(!isLast && {
+          cursor: 'pointer',
+          onclick: () => (this.zoomPath = labels.slice(1, index + 1)),
+        }),
+      };
+
+      x += computeTextMetrics(`${label}`, style).width + separatorWidth;
+
+      return element;
+    });
+
+    return {
+      'graphic.elements': [
+        {
+          type: 'group',
+          left: layout.x + style.marginLeft,
+          top: layout.y + style.marginTop,
+          children,
+        },
+      ],
+    };
+  }
+
+  /**
+   * Generates text to overlay on each cell of the chart, if any.
+   */
+  generateTextOverlayConfig(series, args, layout, style) {
+    const { noDataText } = args;
+
+    return series.data.length == 0 && noDataText
+      ? this.generateTextConfig(
+          noDataText,
+          {
+            width: layout.innerWidth,
+            height: layout.innerHeight,
+            x: layout.innerX,
+            y: layout.innerY,
+          },
+          style
+        )
+      : undefined;
+  }
+}
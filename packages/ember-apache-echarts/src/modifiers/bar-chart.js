@@ -1,15 +1,18 @@
 import { tracked } from '@glimmer/tracking';
 import compact from 'lodash/compact';
-import countBy from 'lodash/countBy';
 import flatten from 'lodash/flatten';
 import * as echarts from 'echarts';
 import mergeAtPaths from '../utils/merge-at-paths';
+import createLookup from '../utils/create-lookup';
 import parseAxisLabel from '../utils/chart/parse-axis-label';
+import collapseCategories from '../utils/data/collapse-categories';
 import computeStatistic from '../utils/data/compute-statistic';
 import getSeriesData from '../utils/data/get-series-data';
 import getSeriesTotals from '../utils/data/get-series-totals';
 import getUniqueDatasetValues from '../utils/data/get-unique-dataset-values';
+import getWaterfallSteps from '../utils/data/get-waterfall-steps';
 import rotateDataSeries from '../utils/data/rotate-data-series';
+import sortCategories from '../utils/data/sort-categories';
 import computeMaxTextMetrics from '../utils/layout/compute-max-text-metrics';
 import computeTextMetrics from '../utils/layout/compute-text-metrics';
 import resolveStyle from '../utils/style/resolve-style';
@@ -17,6 +20,33 @@ import AbstractChartModifier from './abstract-chart';
 
 const DEFAULT_CATEGORY_PROPERTY = 'name';
 const DEFAULT_VALUE_PROPERTY = 'value';
+const DEFAULT_TOTAL_PROPERTY = 'isTotal';
+const DEFAULT_OTHER_LABEL = 'Other';
+const DEFAULT_INCREASE_COLOR = '#2e7d32';
+const DEFAULT_DECREASE_COLOR = '#c62828';
+const DEFAULT_TOTAL_COLOR = '#5470c6';
+const DEFAULT_TARGET_PROPERTY = 'target';
+const DEFAULT_RANGES_PROPERTY = 'ranges';
+const DEFAULT_BULLET_COLOR = '#5470c6';
+const DEFAULT_TARGET_COLOR = '#000';
+const DEFAULT_RANGE_COLORS = ['#bdbdbd', '#d6d6d6', '#ebebeb'];
+
+// The widths of the range bands and of the value bar of a bullet, relative to
+// the width of each category, and the thickness of the target marker in pixels
+const BULLET_RANGE_WIDTH = 0.6;
+const BULLET_VALUE_WIDTH = 0.25;
+const BULLET_TARGET_THICKNESS = 3;
+
+const DEFAULT_START_PROPERTY = 'start';
+const DEFAULT_END_PROPERTY = 'end';
+
+// The width of the bars of a range bar, relative to the width of each category
+const RANGE_BAR_WIDTH = 0.6;
+
+// The number of ECharts series used to render each waterfall: an invisible
+// series for the base of the floating bars and a series for each of the parts
+// of the bars above and below zero
+const WATERFALL_SERIES_COUNT = 3;
 
 // TODO: Import only the required components to keep the bundle size small. See
 //       https://echarts.apache.org/handbook/en/basics/import/ [twl 6.Apr.22]
@@ -31,6 +61,8 @@ const setItemColor = (colorMap, item, color) =>
         },
       };
 
+const isSecondaryValueAxis = (series) => series.valueAxis === 'secondary';
+
 const isShowingAxisLabel = (axisConfig, labelType) =>
   axisConfig.axisLabel?.[`show${labelType}Label`] === false ||
   (axisConfig.type === 'time' &&
@@ -52,6 +84,269 @@ const computeData = (data, categories, args) => {
       }));
 };
 
+/**
+ * Computes the data for the series used to render a waterfall: the invisible
+ * base of each floating bar and the parts of each bar above and below zero.
+ * Each item references the waterfall `step` it renders.
+ */
+const computeWaterfallData = (data, categories, args) => {
+  const { categoryProperty = DEFAULT_CATEGORY_PROPERTY } = args;
+  const { valueProperty = DEFAULT_VALUE_PROPERTY } = args;
+  const { totalProperty = DEFAULT_TOTAL_PROPERTY } = args;
+  const { increaseColor = DEFAULT_INCREASE_COLOR } = args;
+  const { decreaseColor = DEFAULT_DECREASE_COLOR } = args;
+  const { totalColor = DEFAULT_TOTAL_COLOR } = args;
+  const { categoryAxisType, orientation } = args;
+  const steps = getWaterfallSteps(
+    data,
+    categories,
+    categoryProperty,
+    valueProperty,
+    totalProperty
+  );
+  const toItem = (category, value, step, color) => ({
+    name: category,
+    value:
+      // prettier not formatting nested ternaries properly, so turn it off
+      // prettier-ignore
+      categoryAxisType !== 'time'
+        ? value
+        : orientation === 'horizontal'
+          ? [value, category]
+          : [category, value],
+    step,
+    ...(color && {
+      itemStyle: {
+        color,
+      },
+    }),
+  });
+
+  return steps.reduce(
+    (parts, step, index) => {
+      const category = categories[index];
+      const low = Math.min(step.start, step.end);
+      const high = Math.max(step.start, step.end);
+      // prettier not formatting nested ternaries properly, so turn it off
+      // prettier-ignore
+      const color = step.isTotal
+        ? totalColor
+        : step.change >= 0
+          ? increaseColor
+          : decreaseColor;
+
+      // Floating bars on either side of zero are stacked on the base, while
+      // those crossing zero are split into the parts above and below it
+      // prettier-ignore
+      const [base, above, below] =
+        low >= 0
+          ? [low, high - low, 0]
+          : high <= 0
+            ? [high, 0, low - high]
+            : [0, high, low];
+
+      parts.base.push(toItem(category, base, step));
+      parts.above.push(toItem(category, above, step, color));
+      parts.below.push(toItem(category, below, step, color));
+
+      return parts;
+    },
+    { base: [], above: [], below: [] }
+  );
+};
+
+/**
+ * Returns the maximum number of range bands for any data item in the `dataset`,
+ * which is the number of range series rendered for each bullet plot.
+ */
+const getBulletRangeCount = (dataset, rangesProperty) =>
+  Math.max(
+    0,
+    ...dataset.flatMap((series) =>
+      (series.data ?? []).map((item) => item[rangesProperty]?.length ?? 0)
+    )
+  );
+
+/**
+ * Computes the data for the series used to render a bullet: the parts of each
+ * range band stacked on the preceding bands, and the values and targets. Each
+ * value references the `bullet` it renders.
+ */
+const computeBulletData = (data, categories, rangeCount, args) => {
+  const { categoryProperty = DEFAULT_CATEGORY_PROPERTY } = args;
+  const { valueProperty = DEFAULT_VALUE_PROPERTY } = args;
+  const { targetProperty = DEFAULT_TARGET_PROPERTY } = args;
+  const { rangesProperty = DEFAULT_RANGES_PROPERTY } = args;
+  const lookup = createLookup(data, categoryProperty);
+
+  return {
+    ranges: Array.from({ length: rangeCount }, (value, rangeIndex) =>
+      categories.map((category) => {
+        const ranges = lookup[category]?.[rangesProperty] ?? [];
+
+        return {
+          name: category,
+          value:
+            rangeIndex < ranges.length
+              ? ranges[rangeIndex] - (ranges[rangeIndex - 1] ?? 0)
+              : 0,
+        };
+      })
+    ),
+    values: categories.map((category, index) => {
+      const item = lookup[category];
+      const bullet = {
+        value: item?.[valueProperty] ?? null,
+        target: item?.[targetProperty] ?? null,
+        ranges: item?.[rangesProperty] ?? [],
+      };
+
+      return {
+        name: category,
+        value: [index, bullet.value, bullet.target],
+        bullet,
+      };
+    }),
+  };
+};
+
+/**
+ * Renders the value bar and target marker for a single bullet using the
+ * ECharts custom series `api`.
+ */
+const renderBulletItem = (api, isHorizontal, targetColor) => {
+  const categoryIndex = api.value(0);
+  const value = api.value(1);
+  const target = api.value(2);
+  const toPoint = (value) =>
+    api.coord(isHorizontal ? [value, categoryIndex] : [categoryIndex, value]);
+  const categoryWidth = isHorizontal
+    ? api.size([0, 1])[1]
+    : api.size([1, 0])[0];
+  const valueWidth = categoryWidth * BULLET_VALUE_WIDTH;
+  const targetLength = categoryWidth * BULLET_RANGE_WIDTH;
+  const start = toPoint(0);
+  const end = toPoint(value);
+  const targetPoint = toPoint(target);
+
+  return {
+    type: 'group',
+    children: [
+      !isNaN(value) && {
+        type: 'rect',
+        shape: isHorizontal
+          ? {
+              x: Math.min(start[0], end[0]),
+              y: start[1] - valueWidth / 2,
+              width: Math.abs(end[0] - start[0]),
+              height: valueWidth,
+            }
+          : {
+              x: start[0] - valueWidth / 2,
+              y: Math.min(start[1], end[1]),
+              width: valueWidth,
+              height: Math.abs(end[1] - start[1]),
+            },
+        style: api.style(),
+      },
+      !isNaN(target) && {
+        type: 'rect',
+        shape: isHorizontal
+          ? {
+              x: targetPoint[0] - BULLET_TARGET_THICKNESS / 2,
+              y: targetPoint[1] - targetLength / 2,
+              width: BULLET_TARGET_THICKNESS,
+              height: targetLength,
+            }
+          : {
+              x: targetPoint[0] - targetLength / 2,
+              y: targetPoint[1] - BULLET_TARGET_THICKNESS / 2,
+              width: targetLength,
+              height: BULLET_TARGET_THICKNESS,
+            },
+        style: {
+          fill: targetColor,
+        },
+      },
+    ].filter(Boolean),
+  };
+};
+
+/**
+ * Computes the data for the series used to render range bars, where each value
+ * has the index of the category and the start and end times, and references
+ * the `range` it renders.
+ */
+const computeRangeData = (data, categories, args) => {
+  const { categoryProperty = DEFAULT_CATEGORY_PROPERTY } = args;
+  const { startProperty = DEFAULT_START_PROPERTY } = args;
+  const { endProperty = DEFAULT_END_PROPERTY } = args;
+  const { colorMap } = args;
+
+  return (data ?? []).map((item) => {
+    const category = item[categoryProperty];
+    const range = {
+      start: new Date(item[startProperty]).valueOf(),
+      end: new Date(item[endProperty]).valueOf(),
+    };
+
+    return setItemColor(
+      colorMap,
+      {
+        name: category,
+        value: [categories.indexOf(category), range.start, range.end],
+        range,
+      },
+      category
+    );
+  });
+};
+
+/**
+ * Renders the bar for a single range using the ECharts custom series `api`.
+ */
+const renderRangeBarItem = (api, isHorizontal) => {
+  const categoryIndex = api.value(0);
+
+  if (isNaN(api.value(1)) || isNaN(api.value(2))) {
+    return undefined;
+  }
+
+  const toPoint = (value) =>
+    api.coord(isHorizontal ? [value, categoryIndex] : [categoryIndex, value]);
+  const categoryWidth = isHorizontal
+    ? api.size([0, 1])[1]
+    : api.size([1, 0])[0];
+  const barWidth = categoryWidth * RANGE_BAR_WIDTH;
+  const start = toPoint(api.value(1));
+  const end = toPoint(api.value(2));
+
+  // Ranges without a duration are rendered as a thin line, so they're visible
+  return {
+    type: 'rect',
+    shape: isHorizontal
+      ? {
+          x: Math.min(start[0], end[0]),
+          y: start[1] - barWidth / 2,
+          width: Math.max(1, Math.abs(end[0] - start[0])),
+          height: barWidth,
+        }
+      : {
+          x: start[0] - barWidth / 2,
+          y: Math.min(start[1], end[1]),
+          width: barWidth,
+          height: Math.max(1, Math.abs(end[1] - start[1])),
+        },
+    style: api.style(),
+  };
+};
+
+/**
+ * Formats a time rendered by a range bar when no value formatter is defined.
+ */
+const formatRangeTime = (value) =>
+  echarts.time.format(value, '{yyyy}-{MM}-{dd} {HH}:{mm}', false);
+
 /**
  * Renders one or more bar charts.
  *
@@ -70,6 +365,13 @@ const computeData = (data, categories, args) => {
  *   which contains an array of drillable child series. When the `series`
  *   argument is present, the `data` argument is ignored.
  *
+ *   For grouped and stacked variants, each series may also define a `type`
+ *   property to render that series as a `bar`, `line` or `area` regardless of
+ *   the variant, and a `valueAxis` property to render that series against the
+ *   `primary` (default) or `secondary` value axis. The secondary value axis is
+ *   rendered on the right side of the plot and is only supported when the
+ *   `orientation` is `vertical`.
+ *
  * `rotateData`
  * : Rotates the data series so the "columns" become the "rows" and the "rows"
  *   become the "columns". For hierarchical series, the names/labels of each
@@ -84,6 +386,35 @@ const computeData = (data, categories, args) => {
  * : The name of the property within the data to use as the value for each data
  *   point.
  *
+ * `targetProperty`
+ * : The name of the property within the data to use as the target for each
+ *   data point for the `bullet` variant. Defaults to `target`.
+ *
+ * `rangesProperty`
+ * : The name of the property within the data to use as the qualitative ranges
+ *   for each data point for the `bullet` variant. The ranges are an array of
+ *   the upper bounds of each range band in ascending order (e.g., the bounds
+ *   for poor, satisfactory and good). Defaults to `ranges`.
+ *
+ * `startProperty`, `endProperty`
+ * : The names of the properties within the data to use as the start and end
+ *   times of each data point for the `rangeBar` variant. The times may be a
+ *   `Date`, a timestamp or an ISO 8601 string. Defaults to `start` and `end`.
+ *   The value property is not used for the `rangeBar` variant, and a category
+ *   may have any number of data points.
+ *
+ * `maxCategories`
+ * : The maximum number of categories to render. When there are more, the
+ *   categories with the smallest totals across all series are collapsed into a
+ *   single category whose value is the sum of their values, and whose data
+ *   object has the collapsed data objects in its `collapsed` property. Only
+ *   supported for the `category` category axis type, and not supported for the
+ *   `waterfall`, `bullet` and `rangeBar` variants.
+ *
+ * `otherLabel`
+ * : The category to use for the collapsed categories when `maxCategories` is
+ *   set. Defaults to `Other`.
+ *
  *
  * ## Chart Layout
  *
@@ -103,7 +434,11 @@ const computeData = (data, categories, args) => {
  *
  * `variant`
  * : Which style chart to render: `bar`, `line`, `area`, `groupedBar`,
- *   `groupedLine`, `stackedBar` or `stackedArea`
+ *   `groupedLine`, `stackedBar`, `stackedArea`, `waterfall`, `bullet` or
+ *   `rangeBar`. The `bullet` and `rangeBar` variants only support the
+ *   `category` category axis type. The `rangeBar` variant renders a bar from
+ *   the start to the end of each data point against a time axis, such as for
+ *   a Gantt chart, and is typically rendered with a `horizontal` orientation.
  *
  * `orientation`
  * : Which orientation to render the value axes: `vertical` (default) or
@@ -111,7 +446,27 @@ const computeData = (data, categories, args) => {
  *
  * `colorMap`
  * : A hash that maps series names to the colors to use for the data items in
- *   those series
+ *   those series. For the `rangeBar` variant, maps categories to the colors
+ *   to use for the data items in those categories.
+ *
+ * `totalProperty`
+ * : The name of the property within the data that marks a data item as a total
+ *   for the `waterfall` variant. Totals render the running total of the
+ *   preceding data items, ignoring their value, and can be used as subtotals.
+ *   Defaults to `isTotal`.
+ *
+ * `increaseColor`, `decreaseColor`, `totalColor`
+ * : The colors of the bars for increases, decreases and totals, respectively,
+ *   for the `waterfall` variant
+ *
+ * `bulletColor`, `targetColor`
+ * : The colors of the value bar and the target marker, respectively, for the
+ *   `bullet` variant
+ *
+ * `rangeColors`
+ * : An array of the colors of the range bands from the lowest to the highest
+ *   range for the `bullet` variant. Defaults to shades of gray. Ranges beyond
+ *   the end of the array use the last color.
  *
  * `cellStyle`
  * : CSS properties defining the style for individual plots when rendering more
@@ -159,6 +514,11 @@ const computeData = (data, categories, args) => {
  *   value is being formatted for (`axis`, `itemTooltip`, `axisTooltip`) and for
  *   axis elements, the index of the axis.
  *
+ * `secondaryValueAxisFormatter`
+ * : The function used to format the values for the secondary value axis.
+ *   Passed the same arguments as `valueAxisFormatter`, which is used when this
+ *   is not defined.
+ *
  * `missingCategoryFormat`, `missingValueFormat`
  * : The text to use when the category or value is missing, i.e., an empty
  *   string, undefined or null. If not defined, then the category or value is
@@ -329,7 +689,40 @@ export default class BarChartModifier extends AbstractChartModifier {
   }
 
   isBarVariant(variant) {
-    return ['bar', 'groupedBar', 'stackedBar'].includes(variant ?? 'bar');
+    return [
+      'bar',
+      'groupedBar',
+      'stackedBar',
+      'waterfall',
+      'bullet',
+      'rangeBar',
+    ].includes(variant ?? 'bar');
+  }
+
+  isWaterfallVariant(variant) {
+    return variant === 'waterfall';
+  }
+
+  isBulletVariant(variant) {
+    return variant === 'bullet';
+  }
+
+  isRangeBarVariant(variant) {
+    return variant === 'rangeBar';
+  }
+
+  /**
+   * Returns whether the smallest categories are collapsed into a single
+   * category for `args`.
+   */
+  isCollapsingCategories(args) {
+    const { maxCategories, variant, categoryAxisType = 'category' } = args;
+
+    return (
+      maxCategories > 0 &&
+      categoryAxisType === 'category' &&
+      !['waterfall', 'bullet', 'rangeBar'].includes(variant)
+    );
   }
 
   isAreaVariant(variant) {
@@ -344,33 +737,23 @@ export default class BarChartModifier extends AbstractChartModifier {
     const { categoryProperty = DEFAULT_CATEGORY_PROPERTY } = args;
     const categories = getUniqueDatasetValues(series, categoryProperty);
 
-    if (categoryAxisSort !== 'firstSeries') {
-      if (categoryAxisSort === 'asc') {
-        categories.sort();
-      } else if (categoryAxisSort === 'desc') {
-        categories.sort().reverse();
-      } else if (typeof categoryAxisSort === 'function') {
-        categories.sort(categoryAxisSort);
-      } else {
-        console.warn(`Invalid 'categoryAxisSort' value: ${categoryAxisSort}`);
-      }
-    } else if (categoryAxisType === 'time') {
-      categories.sort(
-        (date1, date2) => (date1?.valueOf() ?? 0) - (date2?.valueOf() ?? 0)
-      );
-    }
-
-    return categories;
+    return sortCategories(categories, categoryAxisSort, categoryAxisType);
   }
 
   /**
    * Formats the `name` and `value` within `params` when a category or value
    * formatter are defined, respectively.
    */
-  formatTooltipParams(args, params, elementType) {
-    const { valueAxisFormatter = echarts.format.addCommas } = args;
+  formatTooltipParams(args, params, elementType, dataset) {
     const { categoryAxisType, categoryAxisFormatter, orientation } = args;
     const { missingCategoryFormat, missingValueFormat } = args;
+    const series = dataset?.[params.seriesIndex];
+    const valueAxisFormatter =
+      (series && isSecondaryValueAxis(series)
+        ? args.secondaryValueAxisFormatter
+        : undefined) ??
+      args.valueAxisFormatter ??
+      echarts.format.addCommas;
 
     // The `time` axis requires tuples for the `value`; reverse this before
     // passing into the tooltip, however. Note that this also modifies
@@ -379,10 +762,60 @@ export default class BarChartModifier extends AbstractChartModifier {
       params.value = params.value[orientation === 'horizontal' ? 0 : 1];
     }
 
+    // Waterfalls render each step using multiple parts; use the change for the
+    // step as the value rather than the value of the part
+    const step = params.data?.step;
+
+    if (step) {
+      params.value = step.change;
+      params.seriesIndex = this.getDatasetIndex(
+        args,
+        params.seriesIndex,
+        dataset
+      );
+    }
+
+    // Bullets render the value with the index of the category and the target;
+    // use the value of the bullet instead
+    const bullet = params.data?.bullet;
+
+    if (bullet) {
+      params.value = bullet.value;
+      params.seriesIndex = this.getDatasetIndex(
+        args,
+        params.seriesIndex,
+        dataset
+      );
+    }
+
+    // Range bars render the start and end times with the index of the category;
+    // use the formatted range as the value instead
+    const range = params.data?.range;
+    const timeFormatter = args.valueAxisFormatter ?? formatRangeTime;
+    const formattedRange = range && {
+      start: timeFormatter(range.start, elementType),
+      end: timeFormatter(range.end, elementType),
+    };
+
     // prettier not formatting nested ternaries properly, so turn it off
     // prettier-ignore
     return {
       ...params,
+      ...(step && {
+        total: valueAxisFormatter
+          ? valueAxisFormatter(step.end, elementType)
+          : step.end,
+        isTotal: step.isTotal,
+      }),
+      ...(params.data?.collapsed && {
+        collapsed: params.data.collapsed,
+      }),
+      ...(bullet && {
+        target:
+          bullet.target != null && valueAxisFormatter
+            ? valueAxisFormatter(bullet.target, elementType)
+            : bullet.target,
+      }),
       value:
         !params.value && missingValueFormat != null
           ? missingValueFormat
@@ -395,6 +828,10 @@ export default class BarChartModifier extends AbstractChartModifier {
           : categoryAxisFormatter
             ? categoryAxisFormatter(params.name, elementType)
             : params.name,
+      ...(formattedRange && {
+        ...formattedRange,
+        value: `${formattedRange.start} – ${formattedRange.end}`,
+      }),
     };
   }
 
@@ -413,9 +850,19 @@ export default class BarChartModifier extends AbstractChartModifier {
               tooltipFormatter(
                 params.length != null
                   ? params.map((param) =>
-                      this.formatTooltipParams(args, param, 'axisTooltip')
+                      this.formatTooltipParams(
+                        args,
+                        param,
+                        'axisTooltip',
+                        context.data.dataset
+                      )
                     )
-                  : this.formatTooltipParams(args, params, 'itemTooltip'),
+                  : this.formatTooltipParams(
+                      args,
+                      params,
+                      'itemTooltip',
+                      context.data.dataset
+                    ),
                 context.data.dataset
               ),
           }),
@@ -433,14 +880,20 @@ export default class BarChartModifier extends AbstractChartModifier {
         return;
       }
 
-      const seriesIndex = fromActionPayload.seriesIndex;
+      const seriesIndex = this.getDatasetIndex(
+        args,
+        fromActionPayload.seriesIndex,
+        context.data.dataset
+      );
       const dataIndex = fromActionPayload.dataIndexInside;
       const series = allSeries[seriesIndex];
       // NOTE: `dataIndex` isn't actually the data index. It's the index of the
       //       category on the X axis. Thus we need to look up the value based
       //       on how the axis is being rendered. [twl 20.Jul.22]
+      // Range bars may have any number of data items for each category, so
+      // look up the category from the data item
       const name =
-        categoryAxisScale === 'shared'
+        categoryAxisScale === 'shared' && !this.isRangeBarVariant(args.variant)
           ? context.data.categories[dataIndex]
           : series.data[dataIndex]
           ? series.data[dataIndex][
@@ -458,31 +911,40 @@ export default class BarChartModifier extends AbstractChartModifier {
       onSelect && onSelect(fromAction === 'select' ? name : null);
     });
 
-    // Change the default behavior of how selections work on the legend
-    chart.handle('legendselectchanged', ({ name, selected }) => {
-      const selections = Object.values(selected);
-      const counts = countBy(selections);
-
-      // If the only one selected is the one that just changed, or if nothing is
-      // selected, then invert the selection
-      if (
-        (counts.false === 1 && selected[name] === false) ||
-        counts.false === selections.length
-      ) {
-        chart.dispatchAction({
-          type: 'legendInverseSelect',
-        });
-      }
-    });
+    this.configureLegendInverseSelect(chart);
 
     // Handle the drill in action
-    chart.handle('dblclick', ({ seriesIndex }) => {
+    chart.handle('dblclick', (params) => {
+      const seriesIndex = this.getDatasetIndex(
+        args,
+        params.seriesIndex,
+        context.data.dataset
+      );
+
       if (context.data.dataset[seriesIndex].series) {
         this.drillPath.pushObject(seriesIndex);
       }
     });
   }
 
+  /**
+   * Returns the index in the `dataset` of the series rendered by the ECharts
+   * series at `seriesIndex`.
+   */
+  getDatasetIndex(args, seriesIndex, dataset) {
+    const { rangesProperty = DEFAULT_RANGES_PROPERTY } = args;
+
+    // prettier not formatting nested ternaries properly, so turn it off
+    // prettier-ignore
+    return this.isWaterfallVariant(args.variant)
+      ? Math.floor(seriesIndex / WATERFALL_SERIES_COUNT)
+      : this.isBulletVariant(args.variant)
+        ? Math.floor(
+            seriesIndex / (getBulletRangeCount(dataset, rangesProperty) + 1)
+          )
+        : seriesIndex;
+  }
+
   /**
    * Generates the `data` section of the context used to construct this chart.
    */
@@ -491,9 +953,21 @@ export default class BarChartModifier extends AbstractChartModifier {
     const { rotateData, categoryAxisScale, valueAxisScale } = args;
     const { categoryProperty = DEFAULT_CATEGORY_PROPERTY } = args;
     const { valueProperty = DEFAULT_VALUE_PROPERTY } = args;
-    const seriesData = rotateData
+    const { maxCategories, otherLabel = DEFAULT_OTHER_LABEL } = args;
+    const rotatedData = rotateData
       ? rotateDataSeries(context.series, categoryProperty, valueProperty)
       : context.series;
+    const seriesData = this.isCollapsingCategories(args)
+      ? collapseCategories(
+          rotatedData,
+          maxCategories,
+          otherLabel,
+          categoryProperty,
+          valueProperty
+        )
+      : rotatedData;
+    // Shared scales are computed from the series before they're rotated
+    const sharedData = rotateData ? context.series : seriesData;
     const { series, title } = this.drillPath.reduce(
       ({ series }, pathIndex) => ({
         series: series[pathIndex].series,
@@ -505,12 +979,10 @@ export default class BarChartModifier extends AbstractChartModifier {
     return {
       ...context,
       ...(categoryAxisScale === 'shared' && {
-        categories: this.getCategories(args, context.series),
-      }),
-      ...(valueAxisScale === 'shared' && {
-        minValue: computeStatistic(context.series, 'min'),
-        maxValue: computeStatistic(context.series, 'max'),
+        categories: this.getCategories(args, sharedData),
       }),
+      ...(valueAxisScale === 'shared' &&
+        this.computeSharedValueRange(args, sharedData)),
       // If grouped or stacked, render multple series on a single chart rather
       // than one chart per series
       series:
@@ -696,28 +1168,127 @@ export default class BarChartModifier extends AbstractChartModifier {
   }
 
   /**
-   * Calculate the values and stats used for the value axis.
+   * Returns whether the `variant` renders values other than those in the data,
+   * such as the running totals of a waterfall, the targets of a bullet or the
+   * times of a range bar.
+   */
+  hasRenderedValues(variant) {
+    return (
+      this.isWaterfallVariant(variant) ||
+      this.isBulletVariant(variant) ||
+      this.isRangeBarVariant(variant)
+    );
+  }
+
+  /**
+   * Returns the values rendered for the `data` of a single series by variants
+   * that render values other than those in the data.
    */
-  computeValueInfo(series, context, categories) {
+  getRenderedValues(args, data, categories) {
+    const { categoryProperty = DEFAULT_CATEGORY_PROPERTY } = args;
+    const { valueProperty = DEFAULT_VALUE_PROPERTY } = args;
+    const { totalProperty = DEFAULT_TOTAL_PROPERTY } = args;
+    const { targetProperty = DEFAULT_TARGET_PROPERTY } = args;
+    const { rangesProperty = DEFAULT_RANGES_PROPERTY } = args;
+    const { startProperty = DEFAULT_START_PROPERTY } = args;
+    const { endProperty = DEFAULT_END_PROPERTY } = args;
+
+    if (this.isRangeBarVariant(args.variant)) {
+      return data
+        .flatMap((item) => [
+          new Date(item[startProperty]).valueOf(),
+          new Date(item[endProperty]).valueOf(),
+        ])
+        .filter((value) => !isNaN(value));
+    }
+
+    if (this.isBulletVariant(args.variant)) {
+      return data
+        .flatMap((item) => [
+          item[valueProperty],
+          item[targetProperty],
+          ...(item[rangesProperty] ?? []),
+        ])
+        .filter((value) => value != null);
+    }
+
+    return getWaterfallSteps(
+      data,
+      categories,
+      categoryProperty,
+      valueProperty,
+      totalProperty
+    ).flatMap((step) => [step.start, step.end]);
+  }
+
+  /**
+   * Computes the `minValue` and `maxValue` of the value axis shared by all
+   * series in the `dataset`, using the values rendered by the variant when it
+   * renders values other than those in the data.
+   */
+  computeSharedValueRange(args, dataset) {
+    if (!this.hasRenderedValues(args.variant)) {
+      return {
+        minValue: computeStatistic(dataset, 'min'),
+        maxValue: computeStatistic(dataset, 'max'),
+      };
+    }
+
+    const sharedCategories =
+      args.categoryAxisScale === 'shared'
+        ? this.getCategories(args, dataset)
+        : undefined;
+    const values = dataset.flatMap((info) =>
+      this.getRenderedValues(
+        args,
+        info.data ?? [],
+        sharedCategories ?? this.getCategories(args, [info])
+      )
+    );
+
+    return values.length
+      ? {
+          minValue: values.reduce((minimum, value) => Math.min(minimum, value)),
+          maxValue: values.reduce((maximum, value) => Math.max(maximum, value)),
+        }
+      : {};
+  }
+
+  /**
+   * Calculate the values and stats used for the `primary` (default) or
+   * `secondary` value axis.
+   */
+  computeValueInfo(series, context, categories, valueAxis = 'primary') {
     const { args, data } = context;
     const { variant, valueAxisScale } = args;
     const { categoryProperty = DEFAULT_CATEGORY_PROPERTY } = args;
     const { valueProperty = DEFAULT_VALUE_PROPERTY } = args;
-    const isSharedScale = valueAxisScale === 'shared';
+    const isSecondary = valueAxis === 'secondary';
+    const isSharedScale = valueAxisScale === 'shared' && !isSecondary;
+    // Only grouped and stacked variants contain multiple series that can be
+    // assigned to different value axes
+    const groups =
+      this.isStackedVariant(variant) || this.isGroupedVariant(variant)
+        ? series.data.filter(
+            (group) => isSecondaryValueAxis(group) === isSecondary
+          )
+        : undefined;
 
     let values;
 
     if (this.isStackedVariant(variant)) {
       values = getSeriesTotals(
-        series.data,
+        groups,
         categories,
         categoryProperty,
         valueProperty
       );
+    } else if (this.hasRenderedValues(variant)) {
+      values = this.getRenderedValues(args, series.data, categories);
     } else if (this.isGroupedVariant(variant)) {
       values = compact(
         flatten(
-          series.data.map((group) =>
+          groups.map((group) =>
             getSeriesData(
               group.data,
               categories,
@@ -803,11 +1374,13 @@ export default class BarChartModifier extends AbstractChartModifier {
   }
 
   /**
-   * Calculate the labels used for the value axis.
+   * Calculate the labels used for the value axis, formatting them with the
+   * `formatter`, if defined, or the value axis formatter.
    */
-  computeValueAxisTicks(context, valueInfo, axisConfig) {
+  computeValueAxisTicks(context, valueInfo, axisConfig, formatter) {
     const { args } = context;
-    const formatter = args.valueAxisFormatter ?? echarts.format.addCommas;
+    const tickFormatter =
+      formatter ?? args.valueAxisFormatter ?? echarts.format.addCommas;
     // prettier not formatting nested ternaries properly, so turn it off
     // prettier-ignore
     const minValue =
@@ -824,14 +1397,148 @@ export default class BarChartModifier extends AbstractChartModifier {
         : axisConfig.max === 'dataMax'
           ? valueInfo.maximum
           : axisConfig.max;
+
+    if (axisConfig.type === 'time') {
+      return this.computeTimeAxisTicks(
+        [minValue, maxValue],
+        axisConfig,
+        formatter ?? args.valueAxisFormatter
+      );
+    }
+
     const scale = echarts.helper.createScale([minValue, maxValue], axisConfig);
 
     return scale.getTicks(false).map((tick) => ({
-      label: tick.value != null ? formatter(tick.value) : '',
+      label: tick.value != null ? tickFormatter(tick.value) : '',
+      position: scale.normalize(tick.value),
+    }));
+  }
+
+  /**
+   * Calculate the ticks used for a value axis rendering times, formatting them
+   * with the `formatter`, if defined, or the default time formats.
+   */
+  computeTimeAxisTicks(extent, axisConfig, formatter) {
+    const model = new echarts.Model({
+      // defaults from `coord/axisDefault.ts` relevant to the scale
+      splitNumber: 6,
+      ...axisConfig,
+    });
+
+    // The time scale requires the locale and time zone settings of the chart
+    model.ecModel = this.chart.getModel();
+
+    const scale = echarts.helper.createScale(extent, model);
+
+    return scale.getTicks(false).map((tick, index) => ({
+      ...parseAxisLabel(scale.getFormattedLabel(tick, index, formatter)),
       position: scale.normalize(tick.value),
     }));
   }
 
+  /**
+   * Generates the configuration specific to rendering a series as the `type`
+   * of series: `bar`, `line` or `area`.
+   */
+  generateSeriesTypeConfig(type) {
+    const isBar = type === 'bar';
+    const isArea = type === 'area';
+
+    return {
+      type: isBar ? 'bar' : 'line',
+      ...(isArea && {
+        areaStyle: {},
+      }),
+      ...(!isBar && {
+        symbol: 'circle',
+        symbolSize: isArea ? 6 : 8,
+      }),
+      ...(!isBar && {
+        emphasis: {
+          itemStyle: {
+            shadowBlur: 3,
+            shadowColor: '#000000',
+            shadowOffsetX: 1,
+            shadowOffsetY: 1,
+          },
+        },
+      }),
+    };
+  }
+
+  /**
+   * Generates the configurations for the series used to render a waterfall,
+   * where each step is rendered as a floating bar stacked on an invisible base.
+   */
+  generateWaterfallSeriesConfig(baseConfig, data) {
+    return [
+      {
+        ...baseConfig,
+        stack: 'waterfall',
+        silent: true,
+        tooltip: {
+          show: false,
+        },
+        itemStyle: {
+          color: 'transparent',
+        },
+        data: data.base,
+      },
+      {
+        ...baseConfig,
+        stack: 'waterfall',
+        data: data.above,
+      },
+      {
+        ...baseConfig,
+        stack: 'waterfall',
+        data: data.below,
+      },
+    ];
+  }
+
+  /**
+   * Generates the configurations for the series used to render a bullet, where
+   * the range bands are rendered as stacked bars behind a custom series that
+   * renders the value bar and target marker centered on each category.
+   */
+  generateBulletSeriesConfig(baseConfig, data, args) {
+    const { orientation, rangeColors = DEFAULT_RANGE_COLORS } = args;
+    const { bulletColor = DEFAULT_BULLET_COLOR } = args;
+    const { targetColor = DEFAULT_TARGET_COLOR } = args;
+    const isHorizontal = orientation === 'horizontal';
+
+    return [
+      ...data.ranges.map((rangeData, index) => ({
+        ...baseConfig,
+        ...this.generateSeriesTypeConfig('bar'),
+        stack: 'ranges',
+        barWidth: `${BULLET_RANGE_WIDTH * 100}%`,
+        silent: true,
+        tooltip: {
+          show: false,
+        },
+        itemStyle: {
+          color: rangeColors[Math.min(index, rangeColors.length - 1)],
+        },
+        // Render the ranges behind the values
+        z: 10,
+        data: rangeData,
+      })),
+      {
+        ...baseConfig,
+        type: 'custom',
+        encode: isHorizontal ? { x: [1, 2], y: 0 } : { x: 0, y: [1, 2] },
+        itemStyle: {
+          color: bulletColor,
+        },
+        renderItem: (params, api) =>
+          renderBulletItem(api, isHorizontal, targetColor),
+        data: data.values,
+      },
+    ];
+  }
+
   /**
    * Generates the plot config for a single plot on this chart.
    */
@@ -847,13 +1554,29 @@ export default class BarChartModifier extends AbstractChartModifier {
     const { categoryAxisType = 'category' } = args;
     const { categoryAxisMaxLabelCount } = args;
     const { categoryAxisFormatter, valueAxisFormatter } = args;
+    const { secondaryValueAxisFormatter = valueAxisFormatter } = args;
     const { valueAxisScale, valueAxisMax } = args;
+    const { rangesProperty = DEFAULT_RANGES_PROPERTY } = args;
     const isHorizontal = orientation === 'horizontal';
     const isBarVariant = this.isBarVariant(variant);
     const isAreaVariant = this.isAreaVariant(variant);
     const isStackedVariant = this.isStackedVariant(variant);
+    const isWaterfallVariant = this.isWaterfallVariant(variant);
+    const isBulletVariant = this.isBulletVariant(variant);
+    const isRangeBarVariant = this.isRangeBarVariant(variant);
     const isGroupedOrStacked =
       this.isGroupedVariant(variant) || isStackedVariant;
+    const hasSecondaryValueAxis =
+      isGroupedOrStacked &&
+      !isHorizontal &&
+      series.data.some(isSecondaryValueAxis);
+    // prettier not formatting nested ternaries properly, so turn it off
+    // prettier-ignore
+    const variantType = isBarVariant
+      ? 'bar'
+      : isAreaVariant
+        ? 'area'
+        : 'line';
 
     // Analyze the data
     const categoryInfo = this.computeCategoryInfo(series, context);
@@ -862,6 +1585,14 @@ export default class BarChartModifier extends AbstractChartModifier {
       context,
       categoryInfo.categories
     );
+    const secondaryValueInfo =
+      hasSecondaryValueAxis &&
+      this.computeValueInfo(
+        series,
+        context,
+        categoryInfo.categories,
+        'secondary'
+      );
 
     // Resolve axis styles
     const yAxisStyle = resolveStyle(styles.yAxis, context.layout);
@@ -883,6 +1614,15 @@ export default class BarChartModifier extends AbstractChartModifier {
           : valueAxisMax !== 'dataMaxRoundedUp'
             ? valueAxisMax
             : undefined,
+      // Range bars render times, so only show the range of the data, or the
+      // range of all series when shared
+      ...(isRangeBarVariant && {
+        type: 'time',
+        min:
+          valueAxisScale === 'shared' ? data.minValue ?? 'dataMin' : 'dataMin',
+        max:
+          valueAxisScale === 'shared' ? data.maxValue ?? 'dataMax' : 'dataMax',
+      }),
       axisLabel: {
         ...(valueAxisFormatter && {
           formatter: (value, axisIndex) =>
@@ -901,6 +1641,38 @@ export default class BarChartModifier extends AbstractChartModifier {
       valueAxisConfig
     );
 
+    // Configure the secondary value axis, which is rendered on the right side
+    // of the plot. Only the primary value axis renders split lines, since the
+    // ticks of the two axes don't line up.
+    const secondaryValueAxisConfig = hasSecondaryValueAxis && {
+      gridIndex,
+      type: 'value',
+      position: 'right',
+      splitLine: {
+        show: false,
+      },
+      axisLabel: {
+        ...(secondaryValueAxisFormatter && {
+          formatter: (value, axisIndex) =>
+            secondaryValueAxisFormatter(value, 'axis', axisIndex),
+        }),
+        // margin between the axis label and the axis line
+        margin: valueAxisStyle.marginRight,
+        ...this.generateAxisLabelConfig(layout, {
+          ...valueAxisStyle,
+          textAlign: 'left',
+        }),
+      },
+    };
+    const secondaryValueTicks =
+      hasSecondaryValueAxis &&
+      this.computeValueAxisTicks(
+        context,
+        secondaryValueInfo,
+        secondaryValueAxisConfig,
+        secondaryValueAxisFormatter
+      );
+
     // Configure category axis
     const categoryAxisConfig = {
       gridIndex,
@@ -941,7 +1713,8 @@ export default class BarChartModifier extends AbstractChartModifier {
     const yAxisInfo = this.computeYAxisInfo(
       yAxisStyle,
       isHorizontal ? categoryTicks : valueTicks,
-      isHorizontal
+      isHorizontal,
+      secondaryValueTicks || undefined
     );
 
     layout = this.addAxisPointer(context, layout, yAxisConfig, yAxisInfo, 'y');
@@ -973,24 +1746,6 @@ export default class BarChartModifier extends AbstractChartModifier {
     const seriesBaseConfig = {
       xAxisIndex: gridIndex,
       yAxisIndex: gridIndex,
-      type: isBarVariant ? 'bar' : 'line',
-      ...(isAreaVariant && {
-        areaStyle: {},
-      }),
-      ...(!isBarVariant && {
-        symbol: 'circle',
-        symbolSize: isAreaVariant ? 6 : 8,
-      }),
-      ...(!isBarVariant && {
-        emphasis: {
-          itemStyle: {
-            shadowBlur: 3,
-            shadowColor: '#000000',
-            shadowOffsetX: 1,
-            shadowOffsetY: 1,
-          },
-        },
-      }),
       // if this is changed, update the select handler in `configureChart`
       selectedMode: 'single',
       // Allow the double-clicking on the area to be the same as if on the line
@@ -1025,6 +1780,7 @@ export default class BarChartModifier extends AbstractChartModifier {
             },
           }),
         },
+        ...(hasSecondaryValueAxis ? [secondaryValueAxisConfig] : []),
       ],
       xAxis: [
         {
@@ -1042,29 +1798,79 @@ export default class BarChartModifier extends AbstractChartModifier {
           }),
         },
       ],
-      series: !isGroupedOrStacked
-        ? [
+      // prettier not formatting nested ternaries properly, so turn it off
+      // prettier-ignore
+      series: isWaterfallVariant
+        ? this.generateWaterfallSeriesConfig(
             {
               ...seriesBaseConfig,
-              data: computeData(series.data, categoryInfo.categories, args),
-              ...(isBarVariant && {
-                colorBy: 'data',
-              }),
+              ...this.generateSeriesTypeConfig('bar'),
             },
-          ]
-        : series.data.map((info) => ({
-            ...seriesBaseConfig,
-            name: info.label,
-            data: computeData(info.data, categoryInfo.categories, args).map(
-              (item) => ({
-                ...item,
-                ...setItemColor(colorMap, item, info.label),
-              })
-            ),
-            ...(isStackedVariant && {
-              stack: 'total',
-            }),
-          })),
+            computeWaterfallData(series.data, categoryInfo.categories, args)
+          )
+        : isBulletVariant
+          ? this.generateBulletSeriesConfig(
+              seriesBaseConfig,
+              computeBulletData(
+                series.data,
+                categoryInfo.categories,
+                getBulletRangeCount(data.dataset, rangesProperty),
+                args
+              ),
+              args
+            )
+          : isRangeBarVariant
+            ? [
+                {
+                  ...seriesBaseConfig,
+                  type: 'custom',
+                  clip: true,
+                  encode: isHorizontal
+                    ? { x: [1, 2], y: 0 }
+                    : { x: 0, y: [1, 2] },
+                  renderItem: (params, api) =>
+                    renderRangeBarItem(api, isHorizontal),
+                  data: computeRangeData(
+                    series.data,
+                    categoryInfo.categories,
+                    args
+                  ),
+                },
+              ]
+            : !isGroupedOrStacked
+              ? [
+                  {
+                    ...seriesBaseConfig,
+                    ...this.generateSeriesTypeConfig(variantType),
+                    data: computeData(series.data, categoryInfo.categories, args),
+                    ...(isBarVariant && {
+                      colorBy: 'data',
+                    }),
+                  },
+                ]
+              : series.data.map((info) => ({
+                  ...seriesBaseConfig,
+                  ...this.generateSeriesTypeConfig(info.type ?? variantType),
+                  // NOTE: Grouped and stacked variants render all series within
+                  //       a single grid, so the secondary axis is the next axis
+                  ...(hasSecondaryValueAxis && isSecondaryValueAxis(info) && {
+                    yAxisIndex: gridIndex + 1,
+                  }),
+                  name: info.label,
+                  data: computeData(info.data, categoryInfo.categories, args).map(
+                    (item) => ({
+                      ...item,
+                      ...setItemColor(colorMap, item, info.label),
+                    })
+                  ),
+                  // Series are stacked separately on each value axis
+                  ...(isStackedVariant && {
+                    stack:
+                      hasSecondaryValueAxis && isSecondaryValueAxis(info)
+                        ? 'secondaryTotal'
+                        : 'total',
+                  }),
+                })),
       ...((plotStyle.borderTopWidth || plotStyle.borderRightWidth) && {
         'graphic.elements': [
           // The right border for the grid, since ECharts doesn't provide a
@@ -1281,9 +2087,11 @@ export default class BarChartModifier extends AbstractChartModifier {
   }
 
   /**
-   * Computes style and metrics about the Y axis for charts that use an Y axis.
+   * Computes style and metrics about the Y axis for charts that use an Y axis,
+   * including the width of the secondary Y axis on the right side of the plot
+   * when `secondaryTicks` are defined.
    */
-  computeYAxisInfo(style, ticks, isHorizontal) {
+  computeYAxisInfo(style, ticks, isHorizontal, secondaryTicks) {
     // HACK TODO: When ticks are too close to each other, the following tick
     //            will be hidden. This can cause the Y axis to calculate the
     //            width wrong if the tick that is hidden has a wider width than
@@ -1300,21 +2108,34 @@ export default class BarChartModifier extends AbstractChartModifier {
     //            rare edge case in our charts, so I'm just using the magic
     //            number of 3%. When ticks are closer than 3% of the axis
     //            length, then the second tick is hidden. [twl 17.Mar.23]
-    const renderedTicks = [...ticks].reduce((ticks, tick) => {
-      if (
-        !ticks.length ||
-        tick.position - ticks[ticks.length - 1].position > 0.03
-      ) {
-        ticks.push(tick);
-      }
-
-      return ticks;
-    }, []);
+    const getRenderedTicks = (ticks) =>
+      [...ticks].reduce((ticks, tick) => {
+        if (
+          !ticks.length ||
+          tick.position - ticks[ticks.length - 1].position > 0.03
+        ) {
+          ticks.push(tick);
+        }
+
+        return ticks;
+      }, []);
+    const renderedTicks = getRenderedTicks(ticks);
     const labelMetrics = computeMaxTextMetrics(
       renderedTicks.map((tick) => tick.label),
       style
     );
     const width = labelMetrics.width + style.marginLeft + style.marginRight;
+    const renderedSecondaryTicks = secondaryTicks
+      ? getRenderedTicks(secondaryTicks)
+      : [];
+    const secondaryLabelMetrics = computeMaxTextMetrics(
+      renderedSecondaryTicks.map((tick) => tick.label),
+      style
+    );
+    // The margins are mirrored on the right side of the plot
+    const secondaryWidth = secondaryTicks
+      ? secondaryLabelMetrics.width + style.marginLeft + style.marginRight
+      : 0;
 
     // Handle when label extends past the top of the axis.
     //
@@ -1323,12 +2144,19 @@ export default class BarChartModifier extends AbstractChartModifier {
     //       we don't have an accurate axis height and for these charts we're
     //       always rendering a label at the top of the axis anyway, so the
     //       top tick position should always be 1. [twl 17.Mar.23]
-    const topTick = renderedTicks[renderedTicks.length - 1];
-    const topTickHeight = computeTextMetrics(topTick.label, style).height;
+    const topTickHeight = Math.max(
+      ...[renderedTicks, renderedSecondaryTicks]
+        .filter((ticks) => ticks.length)
+        .map(
+          (ticks) =>
+            computeTextMetrics(ticks[ticks.length - 1].label, style).height
+        )
+    );
     const heightOverflow = isHorizontal ? 0 : Math.max(0, topTickHeight / 2);
 
     return {
       width,
+      secondaryWidth,
       // NOTE: no height returned because we need to know the X axis height to
       //       determine that and `computeXAxisInfo` needs the result from this
       //       function to calculate its result. We don't use the Y axis height
@@ -1350,6 +2178,7 @@ export default class BarChartModifier extends AbstractChartModifier {
     const width =
       layout.innerWidth -
       yAxisInfo.width -
+      (yAxisInfo.secondaryWidth ?? 0) -
       layout.borderLeftWidth -
       layout.borderRightWidth;
     const lineWidth = isHorizontal ? 0 : 1;
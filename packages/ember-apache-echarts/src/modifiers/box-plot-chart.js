@@ -0,0 +1,493 @@
+import * as echarts from 'echarts';
+import computeBoxPlotStatistics from '../utils/data/compute-box-plot-statistics';
+import getUniqueDatasetValues from '../utils/data/get-unique-dataset-values';
+import sortCategories from '../utils/data/sort-categories';
+import computeMaxTextMetrics from '../utils/layout/compute-max-text-metrics';
+import computeTextMetrics from '../utils/layout/compute-text-metrics';
+import resolveStyle from '../utils/style/resolve-style';
+import AbstractChartModifier from './abstract-chart';
+
+const DEFAULT_CATEGORY_PROPERTY = 'name';
+const DEFAULT_VALUE_PROPERTY = 'value';
+
+// Appended to the ID of the series rendering the outliers of a data series
+const OUTLIERS_ID_SUFFIX = '-outliers';
+
+/**
+ * Returns all observations for the `category` within the `data`, where the
+ * value of each data object is either a single observation or an array of
+ * observations.
+ */
+const getObservations = (data, category, categoryProperty, valueProperty) =>
+  (data ?? [])
+    .filter((item) => item[categoryProperty]?.valueOf() === category?.valueOf())
+    .flatMap((item) => item[valueProperty]);
+
+/**
+ * Renders the distribution of the observations for each category as box plots,
+ * with one box per series for each category.
+ *
+ * # Arguments
+ *
+ * ## Data
+ *
+ * `data`
+ * : An array of data objects, where each data object has a category property
+ *   (e.g., `name`) and a value property (e.g., `value`). The value is either a
+ *   single observation or an array of observations, and multiple data objects
+ *   may contain observations for the same category.
+ *
+ * `series`
+ * : An array of data series, where each series has a label defined using the
+ *   `label` or `name` property and data contained in the `data` property (see
+ *   `data` argument above for the format). The boxes for each series are
+ *   rendered side-by-side within each category. When the `series` argument is
+ *   present, the `data` argument is ignored.
+ *
+ * `categoryProperty`
+ * : The name of the property within the data to use as the category for each
+ *   data point.
+ *
+ * `valueProperty`
+ * : The name of the property within the data to use as the observations for
+ *   each data point.
+ *
+ *
+ * ## Chart Layout
+ *
+ * `chartStyle`
+ * : CSS properties for the entire chart including background color, border,
+ *   margins and padding.
+ *
+ * `chartTitleStyle`
+ * : CSS properties for the title for the entire chart including color, font,
+ *   background color, border and alignment.
+ *
+ * `cellStyle`
+ * : CSS properties defining the style for the plot cell
+ *
+ *
+ * ## Plots
+ *
+ * `orientation`
+ * : Which orientation to render the value axis: `vertical` (default) or
+ *   `horizontal`
+ *
+ * `whiskerRange`
+ * : The multiple of the interquartile range the whiskers may extend past the
+ *   quartiles. Observations beyond the whiskers are rendered as outliers.
+ *   Defaults to 1.5.
+ *
+ * `colorMap`
+ * : A hash that maps series names to the colors to use for the boxes and
+ *   outliers of those series
+ *
+ * `plotStyle`
+ * : CSS properties defining the style of the plot (area defined by the axes)
+ *
+ *
+ * ## Axes
+ *
+ * `categoryAxisSort`
+ * : How to sort the labels on the category axis: `firstSeries` (default),
+ *   `asc`, `desc` or a custom sort function. By default, the sort order of the
+ *   labels for the data in the first series is used.
+ *
+ * `categoryAxisFormatter`, `valueAxisFormatter`
+ * : Functions used to format the categories or values, respectively. Passed
+ *   the value to be formatted and the type of element the value is being
+ *   formatted for (`axis` or `itemTooltip`).
+ *
+ * `xAxisStyle`, `yAxisStyle`
+ * : CSS properties defining the style for the X and Y axes
+ *
+ *
+ * ## Legend
+ *
+ * `legend`
+ * : Whether and where to display a legend: `none`, `top`, `bottom`, `left`,
+ *   `right`, `topLeft`, `topRight`, `bottomLeft`, `bottomRight`, `leftTop`,
+ *   `leftBottom`, `rightTop`, `rightBottom`
+ *
+ * `legendOrientation`
+ * : Which orientation to render the legend: `horizontal`, `vertical` or `auto`
+ *   (default), where `auto` renders the legend horizontally when positioned
+ *   on the top or bottom of the chart, and vertically when positioned on the
+ *   left or right of the chart
+ *
+ * `legendStyle`
+ * : CSS properties for the chart legend including color, font, background
+ *   color, border and alignment.
+ *
+ *
+ * ## Tooltips
+ *
+ * `tooltipFormatter`
+ * : The function used to generate the tool tip
+ */
+export default class BoxPlotChartModifier extends AbstractChartModifier {
+  get defaultStyles() {
+    const styles = super.defaultStyles;
+
+    return {
+      ...styles,
+      plot: {},
+      xAxis: {
+        font: 'normal 12px Montserrat,sans-serif',
+        textAlign: 'center',
+        marginTop: 8,
+      },
+      yAxis: {
+        font: 'normal 12px Montserrat,sans-serif',
+        textAlign: 'right',
+        marginRight: 8,
+      },
+    };
+  }
+
+  /**
+   * Resolves the statistics for the box or the outlier referenced by `params`
+   * and formats the category and values when formatters are defined.
+   */
+  formatTooltipParams(args, params, elementType, data) {
+    const { categoryAxisFormatter } = args;
+    const { valueAxisFormatter = echarts.format.addCommas } = args;
+    const isOutlier = params.seriesId.endsWith(OUTLIERS_ID_SUFFIX);
+    // The series ID starts with the index of the series in the dataset
+    const seriesIndex = parseInt(params.seriesId);
+    const categoryIndex = isOutlier
+      ? params.data.categoryIndex
+      : params.dataIndex;
+    const category = data.categories[categoryIndex];
+    const statistics = data.statistics[seriesIndex][categoryIndex];
+    const formatValue = (value) => valueAxisFormatter(value, elementType);
+
+    return {
+      ...params,
+      seriesIndex,
+      seriesName:
+        data.dataset[seriesIndex].label ?? data.dataset[seriesIndex].name,
+      name: category,
+      category: categoryAxisFormatter
+        ? categoryAxisFormatter(category, elementType)
+        : category,
+      isOutlier,
+      ...(isOutlier && {
+        value: formatValue(params.data.observation),
+      }),
+      statistics: statistics && {
+        min: formatValue(statistics.min),
+        q1: formatValue(statistics.q1),
+        median: formatValue(statistics.median),
+        q3: formatValue(statistics.q3),
+        max: formatValue(statistics.max),
+        count: statistics.count,
+        outliers: statistics.outliers.map(formatValue),
+      },
+    };
+  }
+
+  configureChart(args, chart) {
+    const { tooltipFormatter } = args;
+    const { config, context } = this.buildLayout(args, chart);
+
+    chart.setOption(
+      {
+        ...config,
+        tooltip: {
+          trigger: 'item',
+          ...(tooltipFormatter && {
+            formatter: (params) =>
+              tooltipFormatter(
+                this.formatTooltipParams(
+                  args,
+                  params,
+                  'itemTooltip',
+                  context.data
+                ),
+                context.data.dataset
+              ),
+          }),
+        },
+      },
+      {
+        notMerge: true,
+      }
+    );
+
+    this.configureLegendInverseSelect(chart);
+  }
+
+  /**
+   * Generates the `data` section of the context used to construct this chart.
+   */
+  createContextData(args, chart) {
+    const context = super.createContextData(args, chart);
+    const { categoryAxisSort = 'firstSeries', whiskerRange } = args;
+    const { categoryProperty = DEFAULT_CATEGORY_PROPERTY } = args;
+    const { valueProperty = DEFAULT_VALUE_PROPERTY } = args;
+    const categories = sortCategories(
+      getUniqueDatasetValues(context.series, categoryProperty),
+      categoryAxisSort
+    );
+    const statistics = context.series.map((series) =>
+      categories.map((category) =>
+        computeBoxPlotStatistics(
+          getObservations(
+            series.data,
+            category,
+            categoryProperty,
+            valueProperty
+          ),
+          whiskerRange
+        )
+      )
+    );
+    const extremes = statistics
+      .flat()
+      .filter(Boolean)
+      .flatMap((info) => [info.min, info.max, ...info.outliers]);
+
+    return {
+      ...context,
+      categories,
+      statistics,
+      valueRange: {
+        minimum: extremes.length
+          ? extremes.reduce((minimum, value) => Math.min(minimum, value))
+          : 0,
+        maximum: extremes.length
+          ? extremes.reduce((maximum, value) => Math.max(maximum, value))
+          : 0,
+      },
+      // All series are rendered on a single plot
+      series: [{ data: context.series }],
+      dataset: context.series,
+    };
+  }
+
+  /**
+   * Returns the labels for the legend.
+   */
+  getLegendLabels(series) {
+    // The series are contained in a dummy root node
+    return series[0].data.map((info) => info.label ?? info.name);
+  }
+
+  /**
+   * Calculate the labels of the ticks used for the value axis.
+   */
+  computeValueAxisLabels(range, axisConfig, formatter) {
+    const scale = echarts.helper.createScale(
+      [range.minimum, range.maximum],
+      axisConfig
+    );
+
+    return scale
+      .getTicks(false)
+      .map((tick) =>
+        tick.value == null
+          ? ''
+          : formatter
+          ? formatter(tick.value, 'axis')
+          : echarts.format.addCommas(tick.value)
+      );
+  }
+
+  /**
+   * Generates the configuration for an axis label.
+   */
+  generateAxisLabelConfig(style, margin) {
+    return {
+      // margin between the axis label and the axis line
+      margin,
+      color: style.color,
+      fontStyle: style.fontStyle,
+      fontWeight: style.fontWeight,
+      fontFamily: style.fontFamily,
+      fontSize: style.fontSize,
+      align: style.textAlign,
+    };
+  }
+
+  /**
+   * Generates the plot config for the box plots.
+   */
+  generatePlotConfig(series, layout, context, gridIndex) {
+    const { args, styles, data } = context;
+    const { noDataText, orientation, colorMap } = args;
+    const { categoryAxisFormatter, valueAxisFormatter } = args;
+    const { categories, statistics, valueRange } = data;
+    const hasData = series.data.some((info) => info.data?.length);
+
+    if (!hasData && noDataText) {
+      return undefined;
+    }
+
+    const isHorizontal = orientation === 'horizontal';
+    const xAxisStyle = resolveStyle(styles.xAxis, context.layout);
+    const yAxisStyle = resolveStyle(styles.yAxis, context.layout);
+    const categoryAxisStyle = isHorizontal ? yAxisStyle : xAxisStyle;
+    const valueAxisStyle = isHorizontal ? xAxisStyle : yAxisStyle;
+    const categoryLabels = categories.map((category) =>
+      categoryAxisFormatter
+        ? `${categoryAxisFormatter(category, 'axis')}`
+        : `${category}`
+    );
+    const valueAxisConfig = {
+      gridIndex,
+      type: 'value',
+      // Don't force the axis to include zero
+      scale: true,
+      axisLabel: {
+        ...(valueAxisFormatter && {
+          formatter: (value) => valueAxisFormatter(value, 'axis'),
+        }),
+        ...this.generateAxisLabelConfig(
+          valueAxisStyle,
+          isHorizontal ? valueAxisStyle.marginTop : valueAxisStyle.marginRight
+        ),
+      },
+    };
+    const valueLabels = this.computeValueAxisLabels(
+      valueRange,
+      valueAxisConfig,
+      valueAxisFormatter
+    );
+
+    // Compute the space needed for the axis labels, including any overflow of
+    // the value labels past the end of the value axis
+    const yLabelMetrics = computeMaxTextMetrics(
+      isHorizontal ? categoryLabels : valueLabels,
+      yAxisStyle
+    );
+    const yAxisWidth =
+      yLabelMetrics.width + yAxisStyle.marginLeft + yAxisStyle.marginRight;
+    const gridWidth = layout.innerWidth - yAxisWidth;
+    const xLabelMetrics = computeMaxTextMetrics(
+      isHorizontal ? valueLabels : categoryLabels,
+      xAxisStyle,
+      isHorizontal ? undefined : gridWidth / Math.max(1, categories.length)
+    );
+    const xAxisHeight =
+      xLabelMetrics.height + xAxisStyle.marginTop + xAxisStyle.marginBottom + 1;
+    const lastValueLabelMetrics = computeTextMetrics(
+      valueLabels[valueLabels.length - 1] ?? '',
+      valueAxisStyle
+    );
+    const heightOverflow = isHorizontal ? 0 : lastValueLabelMetrics.height / 2;
+    const widthOverflow = isHorizontal ? lastValueLabelMetrics.width / 2 : 0;
+    const categoryAxisConfig = {
+      gridIndex,
+      type: 'category',
+      data: categories,
+      axisLabel: {
+        ...(categoryAxisFormatter && {
+          formatter: (value) => categoryAxisFormatter(value, 'axis'),
+        }),
+        ...(!isHorizontal && {
+          interval: 0,
+          overflow: 'break',
+          width: gridWidth / Math.max(1, categories.length),
+        }),
+        ...this.generateAxisLabelConfig(
+          categoryAxisStyle,
+          isHorizontal
+            ? categoryAxisStyle.marginRight
+            : categoryAxisStyle.marginTop
+        ),
+      },
+    };
+
+    // Configure final grid style
+    const plotStyle = resolveStyle(styles.plot, context.layout);
+
+    return {
+      grid: [
+        {
+          x: layout.innerX + yAxisWidth,
+          y: layout.innerY + heightOverflow,
+          width: gridWidth - widthOverflow,
+          height: layout.innerHeight - xAxisHeight - heightOverflow,
+          ...(plotStyle.borderTopWidth && {
+            show: true,
+            borderColor: plotStyle.borderTopColor,
+            borderWidth: plotStyle.borderTopWidth,
+          }),
+          ...(plotStyle.backgroundColor && {
+            show: true,
+            backgroundColor: plotStyle.backgroundColor,
+          }),
+        },
+      ],
+      xAxis: [isHorizontal ? valueAxisConfig : categoryAxisConfig],
+      yAxis: [isHorizontal ? categoryAxisConfig : valueAxisConfig],
+      series: series.data.flatMap((info, seriesIndex) => {
+        const name = info.label ?? info.name;
+        const color = colorMap?.[name];
+
+        return [
+          {
+            // Used to look up the series in the dataset
+            id: `${seriesIndex}`,
+            type: 'boxplot',
+            name,
+            xAxisIndex: gridIndex,
+            yAxisIndex: gridIndex,
+            ...(color && {
+              itemStyle: {
+                borderColor: color,
+              },
+            }),
+            data: statistics[seriesIndex].map((info) =>
+              info ? [info.min, info.q1, info.median, info.q3, info.max] : []
+            ),
+          },
+          {
+            id: `${seriesIndex}${OUTLIERS_ID_SUFFIX}`,
+            type: 'scatter',
+            name,
+            xAxisIndex: gridIndex,
+            yAxisIndex: gridIndex,
+            symbolSize: 6,
+            ...(color && {
+              itemStyle: {
+                color,
+              },
+            }),
+            data: statistics[seriesIndex].flatMap((info, categoryIndex) =>
+              (info?.outliers ?? []).map((observation) => ({
+                value: isHorizontal
+                  ? [observation, categoryIndex]
+                  : [categoryIndex, observation],
+                categoryIndex,
+                observation,
+              }))
+            ),
+          },
+        ];
+      }),
+    };
+  }
+
+  /**
+   * Generates text to overlay on each cell of the chart, if any.
+   */
+  generateTextOverlayConfig(series, args, layout, style) {
+    const { noDataText } = args;
+    const hasData = series.data.some((info) => info.data?.length);
+
+    return !hasData && noDataText
+      ? this.generateTextConfig(
+          noDataText,
+          {
+            width: layout.innerWidth,
+            height: layout.innerHeight,
+            x: layout.innerX,
+            y: layout.innerY,
+          },
+          style
+        )
+      : undefined;
+  }
+}
@@ -0,0 +1,430 @@
+import * as echarts from 'echarts';
+import computeValueRange from '../utils/data/compute-value-range';
+import computeMaxTextMetrics from '../utils/layout/compute-max-text-metrics';
+import resolveStyle from '../utils/style/resolve-style';
+import AbstractChartModifier from './abstract-chart';
+
+const DEFAULT_DATE_PROPERTY = 'date';
+const DEFAULT_VALUE_PROPERTY = 'value';
+const MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// The default labels used by ECharts, used to measure the space for the labels
+const DAY_LABELS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+const MONTH_LABELS = [
+  'Jan',
+  'Feb',
+  'Mar',
+  'Apr',
+  'May',
+  'Jun',
+  'Jul',
+  'Aug',
+  'Sep',
+  'Oct',
+  'Nov',
+  'Dec',
+];
+
+const startOfDay = (date) => {
+  // Copy the date, since `parse` returns the same instance for `Date` objects
+  const result = new Date(echarts.time.parse(date).valueOf());
+
+  result.setHours(0, 0, 0, 0);
+
+  return result;
+};
+
+/**
+ * Computes the first and last dates within `dataset`.
+ */
+const computeDateRange = (dataset, dateProperty) => {
+  const dates = dataset
+    .flatMap((series) => series.data ?? [])
+    .map((item) => item?.[dateProperty])
+    .filter((date) => date != null)
+    .map((date) => startOfDay(date).valueOf());
+
+  return dates.length
+    ? [
+        new Date(dates.reduce((minimum, date) => Math.min(minimum, date))),
+        new Date(dates.reduce((maximum, date) => Math.max(maximum, date))),
+      ]
+    : undefined;
+};
+
+/**
+ * Computes the number of weeks (columns in a horizontal calendar) needed to
+ * render the `range` of dates.
+ */
+const computeWeekCount = ([start, end], firstDay) => {
+  const dayCount = Math.round((end - start) / MILLISECONDS_PER_DAY) + 1;
+  const startOffset = (start.getDay() - firstDay + 7) % 7;
+
+  return Math.ceil((dayCount + startOffset) / 7);
+};
+
+/**
+ * Renders one or more calendar heatmaps, with one calendar per series.
+ *
+ * # Arguments
+ *
+ * ## Data
+ *
+ * `data`
+ * : An array of data objects, where each data object has a date property
+ *   (e.g., `date`) and a value property (e.g., `value`). Dates must be either
+ *   `Date` objects or Unix timestamps.
+ *
+ * `series`
+ * : An array of data series, where each series has a label defined using the
+ *   `label` or `name` property and data contained in the `data` property (see
+ *   `data` argument above for the format). When the `series` argument is
+ *   present, the `data` argument is ignored.
+ *
+ * `dateProperty`
+ * : The name of the property within the data to use as the date for each data
+ *   point. Defaults to `date`.
+ *
+ * `valueProperty`
+ * : The name of the property within the data to use as the value for each data
+ *   point. Defaults to `value`.
+ *
+ *
+ * ## Chart Layout
+ *
+ * `chartStyle`
+ * : CSS properties for the entire chart including background color, border,
+ *   margins and padding.
+ *
+ * `chartTitleStyle`
+ * : CSS properties for the title for the entire chart including color, font,
+ *   background color, border and alignment.
+ *
+ * `maxColumns`
+ * : The maximum number of columns to render when rendering more than one series
+ *
+ *
+ * ## Plots
+ *
+ * `orientation`
+ * : Which orientation to render the calendars: `horizontal` (default), where
+ *   weeks are columns, or `vertical`, where weeks are rows
+ *
+ * `dateRange`
+ * : An array containing the first and last dates to render in each calendar.
+ *   Defaults to the range of dates in the data.
+ *
+ * `dateRangeScale`
+ * : Whether to use the range of dates across all series for each calendar, or
+ *   only the range of dates within each series. Valid values are: `shared`,
+ *   `separate` (default). Ignored when `dateRange` is set.
+ *
+ * `firstDay`
+ * : The first day of the week, where `0` is Sunday (default) and `1` is Monday
+ *
+ * `cellStyle`
+ * : CSS properties defining the style for individual plots when rendering more
+ *   than one series
+ *
+ * `cellTitleStyle`
+ * : CSS properties defining the style for the titles for individual plots when
+ *   rendering more than one series
+ *
+ * `dayLabelStyle`, `monthLabelStyle`
+ * : CSS properties defining the style for the day of week and month labels
+ *
+ *
+ * ## Formatting
+ *
+ * `dateFormatter`, `valueAxisFormatter`
+ * : Functions used to format the dates and values, respectively. Passed the
+ *   value to be formatted and the type of element the value is being formatted
+ *   for (`legend` or `itemTooltip`).
+ *
+ *
+ * ## Color Scale
+ *
+ * `colorScale`, `colorScaleSplitNumber`, `colorRange`, `valueAxisMin`,
+ * `valueAxisMax`
+ * : See `AbstractChartModifier.generateColorScaleConfig`
+ *
+ *
+ * ## Legend
+ *
+ * `legend`
+ * : Whether and where to display the color scale legend: `none`, `top`,
+ *   `bottom`, `left`, `right`, `topLeft`, `topRight`, `bottomLeft`,
+ *   `bottomRight`, `leftTop`, `leftBottom`, `rightTop`, `rightBottom`
+ *
+ * `legendOrientation`
+ * : Which orientation to render the legend: `horizontal`, `vertical` or `auto`
+ *   (default)
+ *
+ * `legendStyle`
+ * : CSS properties for the chart legend including color, font, background
+ *   color, border and alignment.
+ *
+ *
+ * ## Tooltips
+ *
+ * `tooltipFormatter`
+ * : The function used to generate the tool tip
+ *
+ *
+ * ## Events
+ *
+ * `onSelect`
+ * : Called when a day on a chart is selected. Passed the date and the label of
+ *   the series for the calendar.
+ */
+export default class CalendarChartModifier extends AbstractChartModifier {
+  get defaultStyles() {
+    const styles = super.defaultStyles;
+
+    return {
+      ...styles,
+      dayLabel: {
+        font: 'normal 12px Montserrat,sans-serif',
+        marginRight: 4,
+      },
+      monthLabel: {
+        font: 'normal 12px Montserrat,sans-serif',
+        marginBottom: 4,
+      },
+    };
+  }
+
+  /**
+   * Formats the `date` and `value` within `params` when a date or value
+   * formatter are defined, respectively, and resolves the original data item.
+   */
+  formatTooltipParams(args, params, elementType, dataset) {
+    const { valueAxisFormatter = echarts.format.addCommas } = args;
+    const { dateFormatter } = args;
+    const [date, value] = params.value;
+    // The series ID is the index of the series in the dataset, since series
+    // without data are not rendered
+    const seriesIndex = parseInt(params.seriesId);
+
+    return {
+      ...params,
+      seriesIndex,
+      data: dataset[seriesIndex]?.data[params.dataIndex],
+      date: dateFormatter
+        ? dateFormatter(date, elementType)
+        : echarts.time.format(date, '{yyyy}-{MM}-{dd}', false),
+      value: valueAxisFormatter
+        ? valueAxisFormatter(value, elementType)
+        : value,
+    };
+  }
+
+  configureChart(args, chart) {
+    const { tooltipFormatter, onSelect } = args;
+    const { dateProperty = DEFAULT_DATE_PROPERTY } = args;
+    const { config, context } = this.buildLayout(args, chart);
+
+    chart.setOption(
+      {
+        ...config,
+        tooltip: {
+          trigger: 'item',
+          ...(tooltipFormatter && {
+            formatter: (params) =>
+              tooltipFormatter(
+                this.formatTooltipParams(
+                  args,
+                  params,
+                  'itemTooltip',
+                  context.data.dataset
+                ),
+                context.data.dataset
+              ),
+          }),
+        },
+      },
+      {
+        notMerge: true,
+      }
+    );
+
+    chart.handle('selectchanged', (event) => {
+      const { fromAction, fromActionPayload, isFromClick } = event;
+
+      if (!isFromClick || !onSelect) {
+        return;
+      }
+
+      const seriesConfig = config.series[fromActionPayload.seriesIndex];
+      const series = context.data.dataset[parseInt(seriesConfig?.id)];
+      const item = series?.data[fromActionPayload.dataIndexInside];
+
+      if (fromAction === 'select' && item) {
+        onSelect(item[dateProperty], series.label ?? series.name);
+      } else {
+        onSelect(null);
+      }
+    });
+  }
+
+  /**
+   * Generates the `data` section of the context used to construct this chart.
+   */
+  createContextData(args, chart) {
+    const context = super.createContextData(args, chart);
+    const { dateRange, dateRangeScale } = args;
+    const { dateProperty = DEFAULT_DATE_PROPERTY } = args;
+    const { valueProperty = DEFAULT_VALUE_PROPERTY } = args;
+
+    return {
+      ...context,
+      valueRange: computeValueRange(context.series, valueProperty),
+      ...(dateRange
+        ? {
+            dateRange: dateRange.map(startOfDay),
+          }
+        : dateRangeScale === 'shared' && {
+            dateRange: computeDateRange(context.series, dateProperty),
+          }),
+      dataset: context.series,
+    };
+  }
+
+  /**
+   * Adds the color scale legend to `config` in place of the standard legend.
+   */
+  addLegend(context, config) {
+    return this.addColorScaleLegend(context, config);
+  }
+
+  /**
+   * Generates the configuration for the text of a calendar label.
+   */
+  generateLabelConfig(style) {
+    return {
+      color: style.color,
+      fontStyle: style.fontStyle,
+      fontWeight: style.fontWeight,
+      fontFamily: style.fontFamily,
+      fontSize: style.fontSize,
+    };
+  }
+
+  /**
+   * Generates the plot config for a single calendar on this chart.
+   */
+  generatePlotConfig(series, layout, context, gridIndex) {
+    const { args, styles, data } = context;
+    const { noDataText, orientation, firstDay = 0 } = args;
+    const { dateProperty = DEFAULT_DATE_PROPERTY } = args;
+    const { valueProperty = DEFAULT_VALUE_PROPERTY } = args;
+    const range = data.dateRange ?? computeDateRange([series], dateProperty);
+
+    if (!range || ((!series.data || series.data.length == 0) && noDataText)) {
+      return undefined;
+    }
+
+    const isVertical = orientation === 'vertical';
+
+    // Reserve space for the day labels and month labels, which are rendered on
+    // the left & top, respectively, for horizontal calendars and on the top &
+    // left for vertical calendars
+    const dayLabelStyle = resolveStyle(styles.dayLabel, context.layout);
+    const monthLabelStyle = resolveStyle(styles.monthLabel, context.layout);
+    const dayLabelMetrics = computeMaxTextMetrics(DAY_LABELS, dayLabelStyle);
+    const monthLabelMetrics = computeMaxTextMetrics(
+      MONTH_LABELS,
+      monthLabelStyle
+    );
+    const labelWidth = isVertical
+      ? monthLabelMetrics.width + monthLabelStyle.marginBottom
+      : dayLabelMetrics.width + dayLabelStyle.marginRight;
+    const labelHeight = isVertical
+      ? dayLabelMetrics.height + dayLabelStyle.marginRight
+      : monthLabelMetrics.height + monthLabelStyle.marginBottom;
+
+    // Use square days sized to fit the cell
+    const weekCount = computeWeekCount(range, firstDay);
+    const columnCount = isVertical ? 7 : weekCount;
+    const rowCount = isVertical ? weekCount : 7;
+    const cellSize = Math.max(
+      1,
+      Math.floor(
+        Math.min(
+          (layout.innerWidth - labelWidth) / columnCount,
+          (layout.innerHeight - labelHeight) / rowCount
+        )
+      )
+    );
+
+    return {
+      calendar: [
+        {
+          left: layout.innerX + labelWidth,
+          top: layout.innerY + labelHeight,
+          cellSize: [cellSize, cellSize],
+          orient: isVertical ? 'vertical' : 'horizontal',
+          range,
+          dayLabel: {
+            firstDay,
+            margin: dayLabelStyle.marginRight,
+            ...this.generateLabelConfig(dayLabelStyle),
+          },
+          monthLabel: {
+            margin: monthLabelStyle.marginBottom,
+            ...this.generateLabelConfig(monthLabelStyle),
+          },
+          // The series label is rendered as the cell title instead
+          yearLabel: {
+            show: false,
+          },
+          itemStyle: {
+            borderWidth: 1,
+            borderColor: '#fff',
+          },
+        },
+      ],
+      series: [
+        {
+          // Used to look up the series, since series without data are skipped
+          id: `${layout.index}`,
+          type: 'heatmap',
+          coordinateSystem: 'calendar',
+          calendarIndex: gridIndex,
+          name: series.label ?? series.name,
+          emphasis: {
+            itemStyle: {
+              shadowBlur: 3,
+              shadowColor: '#000000',
+            },
+          },
+          // if this is changed, update the select handler in `configureChart`
+          selectedMode: 'single',
+          data: (series.data ?? []).map((item) => ({
+            value: [item[dateProperty], item[valueProperty]],
+          })),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Generates text to overlay on each cell of the chart, if any.
+   */
+  generateTextOverlayConfig(series, args, layout, style) {
+    const { noDataText } = args;
+
+    return (!series.data || series.data.length == 0) && noDataText
+      ? this.generateTextConfig(
+          noDataText,
+          {
+            width: layout.innerWidth,
+            height: layout.innerHeight,
+            x: layout.innerX,
+            y: layout.innerY,
+          },
+          style
+        )
+      : undefined;
+  }
+}
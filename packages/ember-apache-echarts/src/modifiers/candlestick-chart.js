@@ -0,0 +1,457 @@
+import * as echarts from 'echarts';
+import computeMaxTextMetrics from '../utils/layout/compute-max-text-metrics';
+import computeTextHeight from '../utils/layout/compute-text-height';
+import resolveStyle from '../utils/style/resolve-style';
+import BarChartModifier from './bar-chart';
+
+const DEFAULT_INCREASE_COLOR = '#2e7d32';
+const DEFAULT_DECREASE_COLOR = '#c62828';
+
+// The space between the price plot and the volume plot
+const VOLUME_PLOT_GAP = 8;
+
+/**
+ * Returns the periods for the items of `data` sorted by time, where each period
+ * has the properties of its item, the start of the period converted to a Unix
+ * timestamp in `at` and the original item in `data`.
+ */
+const toPeriods = (data) =>
+  (data ?? [])
+    .map((item) => ({
+      ...item,
+      at: new Date(item.at).valueOf(),
+      data: item,
+    }))
+    .sort((period1, period2) => period1.at - period2.at);
+
+/**
+ * Returns the padding to add to either end of the time axis so the first and
+ * last candles are not cut in half by the edges of the plot.
+ */
+const computeTimePadding = (data) =>
+  data.length > 1
+    ? (data[data.length - 1].at - data[0].at) / (data.length - 1) / 2
+    : 12 * 60 * 60 * 1000;
+
+/**
+ * Renders the open, high, low and close values of a price over time as
+ * candlesticks, with an optional plot of the volume for each period rendered
+ * beneath it on the same time axis. The time axis is rendered using the `time`
+ * category axis of the bar chart.
+ *
+ * # Arguments
+ *
+ * ## Data
+ *
+ * `data`
+ * : An array of data objects, where each data object has an `at` property with
+ *   the start of the period as a `Date` object or Unix timestamp and `open`,
+ *   `high`, `low` and `close` properties with the prices for the period.
+ *
+ * `volumeProperty`
+ * : The name of the property within the data to use as the volume for each
+ *   period. When defined, a bar plot of the volume is rendered beneath the
+ *   candlesticks.
+ *
+ *
+ * ## Chart Layout
+ *
+ * `chartStyle`
+ * : CSS properties for the entire chart including background color, border,
+ *   margins and padding.
+ *
+ * `chartTitleStyle`
+ * : CSS properties for the title for the entire chart including color, font,
+ *   background color, border and alignment.
+ *
+ * `cellStyle`
+ * : CSS properties defining the style for the plot cell
+ *
+ *
+ * ## Plots
+ *
+ * `increaseColor`
+ * : The color of the candles and volume bars for periods where the price closed
+ *   higher than it opened. Defaults to green.
+ *
+ * `decreaseColor`
+ * : The color of the candles and volume bars for periods where the price closed
+ *   lower than it opened. Defaults to red.
+ *
+ * `volumePlotHeight`
+ * : The fraction of the height of the cell to use for the volume plot, from 0
+ *   to 1. Defaults to 0.25.
+ *
+ * `plotStyle`
+ * : CSS properties defining the style of the plots (area defined by the axes)
+ *
+ *
+ * ## Axes
+ *
+ * `categoryAxisFormatter`
+ * : The function used to format the times on the time axis and in tooltips.
+ *   Passed the value to be formatted and the type of element the value is
+ *   being formatted for (`axis` or `itemTooltip`).
+ *
+ * `valueAxisFormatter`
+ * : The function used to format the prices. Passed the value to be formatted
+ *   and the type of element the value is being formatted for (`axis` or
+ *   `itemTooltip`).
+ *
+ * `volumeAxisFormatter`
+ * : The function used to format the volumes. Passed the value to be formatted
+ *   and the type of element the value is being formatted for (`axis` or
+ *   `itemTooltip`).
+ *
+ * `xAxisStyle`, `yAxisStyle`
+ * : CSS properties defining the style for the X and Y axes
+ *
+ *
+ * ## Data Zoom
+ *
+ * `xAxisZoom`
+ * : Whether and where to display a slider for zooming into a period of time:
+ *   `top` or `bottom`. The zoom applies to both the candlesticks and the
+ *   volume plot.
+ *
+ * `xAxisZoomBrush`
+ * : Whether to allow a period to be selected by brushing on the slider
+ *
+ * `xAxisZoomStyle`
+ * : CSS properties defining the style for the zoom slider
+ *
+ *
+ * ## Tooltips
+ *
+ * `tooltipFormatter`
+ * : The function used to generate the tool tip
+ */
+export default class CandlestickChartModifier extends BarChartModifier {
+  /**
+   * Resolves the period referenced by `params` and formats its time, prices
+   * and volume when formatters are defined.
+   */
+  formatTooltipParams(args, params, elementType, data) {
+    const { volumeProperty, categoryAxisFormatter } = args;
+    const { valueAxisFormatter = echarts.format.addCommas } = args;
+    const { volumeAxisFormatter = echarts.format.addCommas } = args;
+    const item = data.items[params.dataIndex];
+    const formatValue = (value) => valueAxisFormatter(value, elementType);
+
+    return {
+      ...params,
+      name: item.at,
+      category: categoryAxisFormatter
+        ? categoryAxisFormatter(item.at, elementType)
+        : echarts.time.format(item.at, '{yyyy}-{MM}-{dd}', false),
+      open: formatValue(item.open),
+      high: formatValue(item.high),
+      low: formatValue(item.low),
+      close: formatValue(item.close),
+      change: formatValue(item.close - item.open),
+      isIncrease: item.close >= item.open,
+      ...(volumeProperty && {
+        volume: volumeAxisFormatter(item[volumeProperty], elementType),
+      }),
+      data: item.data,
+    };
+  }
+
+  configureChart(args, chart) {
+    const { tooltipFormatter } = args;
+    const { config, context } = this.buildLayout(args, chart);
+
+    chart.setOption(
+      {
+        ...config,
+        tooltip: {
+          trigger: 'item',
+          ...(tooltipFormatter && {
+            formatter: (params) =>
+              tooltipFormatter(
+                this.formatTooltipParams(
+                  args,
+                  params,
+                  'itemTooltip',
+                  context.data
+                )
+              ),
+          }),
+        },
+      },
+      {
+        notMerge: true,
+      }
+    );
+  }
+
+  /**
+   * Generates the `data` section of the context used to construct this chart.
+   *
+   * The candlesticks are rendered within a single cell, so the context
+   * contains a single series whose data are the periods sorted by time.
+   */
+  createContextData(args) {
+    const items = toPeriods(args.data);
+
+    return {
+      series: [{ data: items }],
+      items,
+    };
+  }
+
+  /**
+   * Calculate the labels of the ticks used for a value axis.
+   */
+  computeValueAxisLabels(extent, axisConfig, formatter) {
+    const scale = echarts.helper.createScale(extent, axisConfig);
+
+    return scale
+      .getTicks(false)
+      .map((tick) =>
+        tick.value == null
+          ? ''
+          : formatter
+          ? formatter(tick.value, 'axis')
+          : echarts.format.addCommas(tick.value)
+      );
+  }
+
+  /**
+   * Generates the configuration for the grid of a plot.
+   */
+  generateGridConfig(gridInfo, plotStyle) {
+    return {
+      ...gridInfo,
+      ...(plotStyle.borderTopWidth && {
+        show: true,
+        borderColor: plotStyle.borderTopColor,
+        borderWidth: plotStyle.borderTopWidth,
+      }),
+      ...(plotStyle.backgroundColor && {
+        show: true,
+        backgroundColor: plotStyle.backgroundColor,
+      }),
+    };
+  }
+
+  /**
+   * Generates the plot config for the candlesticks and the volume plot.
+   */
+  generatePlotConfig(series, layout, context, gridIndex) {
+    const { args, styles } = context;
+    const { volumeProperty, volumePlotHeight = 0.25 } = args;
+    const { categoryAxisFormatter, valueAxisFormatter } = args;
+    const { volumeAxisFormatter } = args;
+    const { increaseColor = DEFAULT_INCREASE_COLOR } = args;
+    const { decreaseColor = DEFAULT_DECREASE_COLOR } = args;
+    const items = series.data;
+
+    // The extent of the time axis can't be computed without any periods
+    if (items.length == 0) {
+      return undefined;
+    }
+
+    const xAxisStyle = resolveStyle(styles.xAxis, context.layout);
+    const yAxisStyle = resolveStyle(styles.yAxis, context.layout);
+    const plotStyle = resolveStyle(styles.plot, context.layout);
+    const hasVolume = !!volumeProperty;
+    const padding = computeTimePadding(items);
+    const categoryInfo = {
+      categories: items.map((item) => item.at),
+      first: items[0].at - padding,
+      last: items[items.length - 1].at + padding,
+      count: items.length,
+    };
+    const timeAxisConfig = {
+      type: 'time',
+      // Both time axes share the same extent so the plots stay aligned
+      min: categoryInfo.first,
+      max: categoryInfo.last,
+      axisLabel: {
+        hideOverlap: true,
+        ...(categoryAxisFormatter && {
+          formatter: (value) => categoryAxisFormatter(value, 'axis'),
+        }),
+        // margin between the axis label and the axis line
+        margin: xAxisStyle.marginTop,
+        ...this.generateAxisLabelConfig(layout, xAxisStyle),
+      },
+    };
+    const priceAxisConfig = {
+      gridIndex,
+      type: 'value',
+      // Don't force the axis to include zero
+      scale: true,
+      axisLabel: {
+        ...(valueAxisFormatter && {
+          formatter: (value) => valueAxisFormatter(value, 'axis'),
+        }),
+        // margin between the axis label and the axis line
+        margin: yAxisStyle.marginRight,
+        ...this.generateAxisLabelConfig(layout, yAxisStyle),
+      },
+    };
+    const volumeAxisConfig = {
+      gridIndex: gridIndex + 1,
+      type: 'value',
+      splitNumber: 2,
+      axisLabel: {
+        ...(volumeAxisFormatter && {
+          formatter: (value) => volumeAxisFormatter(value, 'axis'),
+        }),
+        // margin between the axis label and the axis line
+        margin: yAxisStyle.marginRight,
+        ...this.generateAxisLabelConfig(layout, yAxisStyle),
+      },
+    };
+    const priceLabels = this.computeValueAxisLabels(
+      [
+        items.reduce((low, item) => Math.min(low, item.low), Infinity),
+        items.reduce((high, item) => Math.max(high, item.high), -Infinity),
+      ],
+      priceAxisConfig,
+      valueAxisFormatter
+    );
+    const volumeLabels = hasVolume
+      ? this.computeValueAxisLabels(
+          [
+            0,
+            items.reduce(
+              (volume, item) => Math.max(volume, item[volumeProperty] ?? 0),
+              0
+            ),
+          ],
+          volumeAxisConfig,
+          volumeAxisFormatter
+        )
+      : [];
+
+    // The value axes of both plots share the same width so the plots align
+    const yAxisWidth =
+      computeMaxTextMetrics([...priceLabels, ...volumeLabels], yAxisStyle)
+        .width +
+      yAxisStyle.marginLeft +
+      yAxisStyle.marginRight;
+    const xAxisInfo = this.computeXAxisInfo(
+      {
+        ...args,
+        categoryAxisType: 'time',
+      },
+      layout,
+      xAxisStyle,
+      this.computeCategoryAxisTicks(context, categoryInfo, timeAxisConfig),
+      {
+        width: yAxisWidth,
+      },
+      false
+    );
+    // Allow for the top label of the value axis overflowing the plot
+    const heightOverflow = computeTextHeight(yAxisStyle) / 2;
+    const plotsHeight = layout.innerHeight - xAxisInfo.height - heightOverflow;
+    const volumeHeight = hasVolume
+      ? Math.max(0, plotsHeight * volumePlotHeight - VOLUME_PLOT_GAP)
+      : 0;
+    const priceGrid = {
+      x: layout.innerX + yAxisWidth,
+      y: layout.innerY + heightOverflow,
+      width: xAxisInfo.width - xAxisInfo.widthOverflow,
+      height: Math.max(
+        0,
+        plotsHeight - volumeHeight - (hasVolume ? VOLUME_PLOT_GAP : 0)
+      ),
+    };
+    const volumeGrid = {
+      ...priceGrid,
+      y: priceGrid.y + priceGrid.height + VOLUME_PLOT_GAP,
+      height: volumeHeight,
+    };
+    const data = items.map((item) => [
+      item.at,
+      item.open,
+      item.close,
+      item.low,
+      item.high,
+    ]);
+
+    return {
+      grid: [
+        this.generateGridConfig(priceGrid, plotStyle),
+        ...(hasVolume ? [this.generateGridConfig(volumeGrid, plotStyle)] : []),
+      ],
+      xAxis: [
+        {
+          ...timeAxisConfig,
+          gridIndex,
+          // Only the bottom plot shows the labels for the time axis
+          ...(hasVolume && {
+            axisLabel: {
+              show: false,
+            },
+          }),
+        },
+        ...(hasVolume
+          ? [
+              {
+                ...timeAxisConfig,
+                gridIndex: gridIndex + 1,
+              },
+            ]
+          : []),
+      ],
+      yAxis: [priceAxisConfig, ...(hasVolume ? [volumeAxisConfig] : [])],
+      series: [
+        {
+          type: 'candlestick',
+          xAxisIndex: gridIndex,
+          yAxisIndex: gridIndex,
+          barMaxWidth: 20,
+          itemStyle: {
+            color: increaseColor,
+            color0: decreaseColor,
+            borderColor: increaseColor,
+            borderColor0: decreaseColor,
+          },
+          data,
+        },
+        ...(hasVolume
+          ? [
+              {
+                type: 'bar',
+                xAxisIndex: gridIndex + 1,
+                yAxisIndex: gridIndex + 1,
+                barMaxWidth: 20,
+                data: items.map((item) => ({
+                  value: [item.at, item[volumeProperty]],
+                  itemStyle: {
+                    color:
+                      item.close >= item.open ? increaseColor : decreaseColor,
+                  },
+                })),
+              },
+            ]
+          : []),
+      ],
+    };
+  }
+
+  /**
+   * Generates text to overlay on each cell of the chart, if any.
+   */
+  generateTextOverlayConfig(series, args, layout, style) {
+    const { noDataText } = args;
+
+    return series.data.length == 0 && noDataText
+      ? this.generateTextConfig(
+          noDataText,
+          {
+            width: layout.innerWidth,
+            height: layout.innerHeight,
+            x: layout.innerX,
+            y: layout.innerY,
+          },
+          style
+        )
+      : undefined;
+  }
+}
@@ -0,0 +1,179 @@
+import AbstractChartModifier from './abstract-chart';
+
+const DEFAULT_SORT = 'descending';
+
+/**
+ * Returns the data in the order of the steps in the funnel, from the first step
+ * to the last.
+ */
+const getSteps = (data, sort) =>
+  sort === 'none'
+    ? data
+    : [...data].sort((item1, item2) => item2.value - item1.value);
+
+/**
+ * Computes the conversion percentages for the item at `dataIndex` in `data`
+ * relative to the previous step and to the first step in the funnel.
+ */
+const computeConversion = (data, dataIndex, sort) => {
+  const steps = getSteps(data, sort);
+  const item = data[dataIndex];
+  const step = steps.indexOf(item);
+  const toPercent = (value, base) => (base ? (value / base) * 100 : undefined);
+
+  return {
+    fromPrevious:
+      step > 0 ? toPercent(item.value, steps[step - 1].value) : undefined,
+    fromFirst: toPercent(item.value, steps[0].value),
+  };
+};
+
+/**
+ * Renders one or more funnel charts.
+ *
+ * # Arguments
+ *
+ * `chartStyle`
+ * : CSS properties for the entire chart including background color, border,
+ *   margins and padding.
+ *
+ * `chartTitleStyle`
+ * : CSS properties for the title for the entire chart including color, font,
+ *   background color, border and alignment.
+ *
+ * `cellStyle`
+ * : CSS properties defining the style for individual plots when rendering more
+ *   than one series
+ *
+ * `cellTitleStyle`
+ * : CSS properties defining the style for the titles for individual plots when
+ *   rendering more than one series
+ *
+ * `maxColumns`
+ * : The maximum number of columns to render when rendering more than one series
+ *
+ * `onSelect`
+ * : Called when an element on a chart is selected
+ *
+ * `tooltipFormatter`
+ * : The function used to generate the tool tip
+ *
+ * `sort`
+ * : Whether to order the steps of the funnel from the largest value to the
+ *   smallest (`descending`, default), from the smallest to the largest
+ *   (`ascending`) or in the order of the data (`none`). Conversions are
+ *   computed from the largest step to the smallest unless this is `none`.
+ */
+export default class FunnelChartModifier extends AbstractChartModifier {
+  configureChart(args, chart) {
+    const { tooltipFormatter, onSelect, sort = DEFAULT_SORT } = args;
+    const { config, context } = this.buildLayout(args, chart);
+    const allSeries = context.data.series;
+
+    chart.setOption(
+      {
+        ...config,
+        tooltip: {
+          ...(tooltipFormatter && {
+            formatter: (params) => {
+              // The series ID is the index of the series in the dataset, since
+              // series without data are not rendered
+              const seriesIndex = parseInt(params.seriesId);
+
+              return tooltipFormatter(
+                {
+                  ...params,
+                  seriesIndex,
+                  conversion: computeConversion(
+                    allSeries[seriesIndex].data,
+                    params.dataIndex,
+                    sort
+                  ),
+                },
+                allSeries
+              );
+            },
+          }),
+        },
+      },
+      {
+        notMerge: true,
+      }
+    );
+
+    chart.handle('selectchanged', (event) => {
+      const { fromAction, fromActionPayload, isFromClick } = event;
+
+      if (!isFromClick) {
+        return;
+      }
+
+      const seriesConfig = config.series[fromActionPayload.seriesIndex];
+      const dataIndex = fromActionPayload.dataIndexInside;
+      const series = allSeries[parseInt(seriesConfig?.id)];
+      const name = series?.data[dataIndex] ? series.data[dataIndex].name : null;
+
+      if (name) {
+        chart.dispatchAction({
+          type: fromAction,
+          name,
+        });
+      }
+
+      onSelect && onSelect(fromAction === 'select' ? name : null);
+    });
+  }
+
+  /**
+   * Generates the plot config for a single plot on this chart.
+   */
+  generatePlotConfig(series, layout, context) {
+    const { noDataText, sort = DEFAULT_SORT } = context.args;
+
+    return (!series.data || series.data.length == 0) && noDataText
+      ? undefined
+      : {
+          series: [
+            {
+              // Used to look up the series, since series without data are
+              // skipped
+              id: `${layout.index}`,
+              type: 'funnel',
+              name: series.label ?? series.name,
+              left: layout.innerX,
+              top: layout.innerY,
+              width: layout.innerWidth,
+              height: layout.innerHeight,
+              sort,
+              gap: 2,
+              label: {
+                position: 'inside',
+              },
+              // if this is changed, update the select handler in configureChart
+              selectedMode: 'single',
+              data: series.data,
+            },
+          ],
+        };
+  }
+
+  /**
+   * Generates text to overlay on each cell of the chart, if any.
+   */
+  generateTextOverlayConfig(series, args, layout, style) {
+    const { noDataText } = args;
+
+    return (!series.data || series.data.length == 0) && noDataText
+      ? this.generateTextConfig(
+          noDataText,
+          {
+            width: layout.innerWidth,
+            height: layout.innerHeight,
+            x: layout.innerX,
+            y: layout.innerY,
+          },
+          style
+        )
+      : undefined;
+  }
+}
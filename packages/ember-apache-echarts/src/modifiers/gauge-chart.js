@@ -0,0 +1,278 @@
+import * as echarts from 'echarts';
+import resolveStyle from '../utils/style/resolve-style';
+import AbstractChartModifier from './abstract-chart';
+
+const DEFAULT_CATEGORY_PROPERTY = 'name';
+const DEFAULT_VALUE_PROPERTY = 'value';
+
+/**
+ * Converts the `bands` into the color stops used by the gauge axis line.
+ */
+const computeBandColors = (bands, min, max) =>
+  [...bands]
+    .sort((band1, band2) => band1.max - band2.max)
+    .map((band, index, sortedBands) => [
+      index === sortedBands.length - 1
+        ? 1
+        : Math.min(1, Math.max(0, (band.max - min) / (max - min))),
+      band.color,
+    ]);
+
+/**
+ * Renders one or more gauges.
+ *
+ * # Arguments
+ *
+ * ## Data
+ *
+ * `data`
+ * : An array of data objects, where each data object has a category property
+ *   (e.g., `name`) and a value property (e.g., `value`). Each data object is
+ *   rendered as a separate pointer on the gauge, so this is usually an array
+ *   with a single element.
+ *
+ * `series`
+ * : An array of data series, where each series has a label defined using the
+ *   `label` or `name` property and data contained in the `data` property (see
+ *   `data` argument above for the format). Each series is rendered as its own
+ *   gauge. When the `series` argument is present, the `data` argument is
+ *   ignored.
+ *
+ * `categoryProperty`
+ * : The name of the property within the data to use as the name of each data
+ *   point.
+ *
+ * `valueProperty`
+ * : The name of the property within the data to use as the value for each data
+ *   point.
+ *
+ *
+ * ## Chart Layout
+ *
+ * `chartStyle`
+ * : CSS properties for the entire chart including background color, border,
+ *   margins and padding.
+ *
+ * `chartTitleStyle`
+ * : CSS properties for the title for the entire chart including color, font,
+ *   background color, border and alignment.
+ *
+ * `cellStyle`
+ * : CSS properties defining the style for individual plots when rendering more
+ *   than one series
+ *
+ * `cellTitleStyle`
+ * : CSS properties defining the style for the titles for individual plots when
+ *   rendering more than one series
+ *
+ * `maxColumns`
+ * : The maximum number of columns to render when rendering more than one series
+ *
+ *
+ * ## Plots
+ *
+ * `variant`
+ * : Whether to render the gauge with a pointer (`gauge`, default) or as a
+ *   progress arc (`progress`)
+ *
+ * `valueAxisMin`, `valueAxisMax`
+ * : The minimum and maximum values of the gauge. Default to 0 and 100,
+ *   respectively.
+ *
+ * `valueAxisSplitNumber`
+ * : The number of segments the gauge axis is split into. Defaults to 5.
+ *
+ * `valueAxisFormatter`
+ * : The function used to format the values on the axis, in the value display
+ *   and in the tooltip. Passed the value to be formatted and the type of
+ *   element the value is being formatted for (`axis`, `detail` or
+ *   `itemTooltip`).
+ *
+ * `bands`
+ * : An array of qualitative ranges to color the gauge axis with, where each
+ *   band is an object with the upper bound of the range as `max` and the
+ *   `color` of the range
+ *
+ * `gaugeAxisStyle`
+ * : CSS properties defining the style of the labels on the gauge axis
+ *
+ * `gaugeValueStyle`
+ * : CSS properties defining the style of the value displayed in the gauge
+ *
+ *
+ * ## Tooltips
+ *
+ * `tooltipFormatter`
+ * : The function used to generate the tool tip
+ */
+export default class GaugeChartModifier extends AbstractChartModifier {
+  get defaultStyles() {
+    const styles = super.defaultStyles;
+
+    return {
+      ...styles,
+      gaugeAxis: {
+        font: 'normal 12px Montserrat,sans-serif',
+        color: '#464646',
+      },
+      gaugeValue: {
+        font: 'bold 24px Montserrat,sans-serif',
+      },
+    };
+  }
+
+  /**
+   * Formats the `value` within `params` using the value formatter and resolves
+   * the index of the series in the dataset.
+   */
+  formatTooltipParams(args, params, elementType) {
+    const { valueAxisFormatter = echarts.format.addCommas } = args;
+
+    return {
+      ...params,
+      // The series ID is the index of the series in the dataset, since series
+      // without data are not rendered
+      seriesIndex: parseInt(params.seriesId),
+      value: valueAxisFormatter(params.value, elementType),
+    };
+  }
+
+  configureChart(args, chart) {
+    const { tooltipFormatter } = args;
+    const { config, context } = this.buildLayout(args, chart);
+
+    chart.setOption(
+      {
+        ...config,
+        tooltip: {
+          trigger: 'item',
+          ...(tooltipFormatter && {
+            formatter: (params) =>
+              tooltipFormatter(
+                this.formatTooltipParams(args, params, 'itemTooltip'),
+                context.data.series
+              ),
+          }),
+        },
+      },
+      {
+        notMerge: true,
+      }
+    );
+  }
+
+  /**
+   * Generates the plot config for a single gauge on this chart.
+   */
+  generatePlotConfig(series, layout, context) {
+    const { args, styles } = context;
+    const { noDataText, variant, bands } = args;
+    const { valueAxisMin = 0, valueAxisMax = 100 } = args;
+    const { valueAxisSplitNumber = 5 } = args;
+    const { valueAxisFormatter = echarts.format.addCommas } = args;
+    const { categoryProperty = DEFAULT_CATEGORY_PROPERTY } = args;
+    const { valueProperty = DEFAULT_VALUE_PROPERTY } = args;
+    const data = series.data ?? [];
+
+    if (data.length == 0 && noDataText) {
+      return undefined;
+    }
+
+    const axisStyle = resolveStyle(styles.gaugeAxis, context.layout);
+    const valueStyle = resolveStyle(styles.gaugeValue, context.layout);
+    const isProgress = variant === 'progress';
+    // The default angles leave a gap at the bottom of the gauge, so the gauge
+    // can be larger than the height of the cell
+    const radius = Math.min(layout.innerWidth / 2, layout.innerHeight / 1.7);
+    const lineWidth = Math.max(4, radius * 0.1);
+
+    return {
+      series: [
+        {
+          // Used to look up the series, since series without data are skipped
+          id: `${layout.index}`,
+          type: 'gauge',
+          name: series.label ?? series.name,
+          center: [
+            layout.innerX + layout.innerWidth / 2,
+            layout.innerY + radius,
+          ],
+          radius,
+          min: valueAxisMin,
+          max: valueAxisMax,
+          splitNumber: valueAxisSplitNumber,
+          progress: {
+            show: isProgress,
+            width: lineWidth,
+          },
+          pointer: {
+            show: !isProgress,
+          },
+          axisLine: {
+            lineStyle: {
+              width: lineWidth,
+              ...(bands?.length && {
+                color: computeBandColors(bands, valueAxisMin, valueAxisMax),
+              }),
+            },
+          },
+          axisTick: {
+            show: !isProgress,
+          },
+          splitLine: {
+            show: !isProgress,
+            length: lineWidth,
+            distance: -lineWidth,
+          },
+          axisLabel: {
+            show: !isProgress,
+            formatter: (value) => valueAxisFormatter(value, 'axis'),
+            distance: lineWidth + 4,
+            color: axisStyle.color,
+            fontStyle: axisStyle.fontStyle,
+            fontWeight: axisStyle.fontWeight,
+            fontFamily: axisStyle.fontFamily,
+            fontSize: axisStyle.fontSize,
+          },
+          title: {
+            show: data.length > 1,
+          },
+          detail: {
+            valueAnimation: true,
+            formatter: (value) => valueAxisFormatter(value, 'detail'),
+            offsetCenter: [0, isProgress ? 0 : '60%'],
+            color: valueStyle.color,
+            fontStyle: valueStyle.fontStyle,
+            fontWeight: valueStyle.fontWeight,
+            fontFamily: valueStyle.fontFamily,
+            fontSize: valueStyle.fontSize,
+          },
+          data: data.map((item) => ({
+            name: item[categoryProperty],
+            value: item[valueProperty],
+          })),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Generates text to overlay on each cell of the chart, if any.
+   */
+  generateTextOverlayConfig(series, args, layout, style) {
+    const { noDataText } = args;
+
+    return (!series.data || series.data.length == 0) && noDataText
+      ? this.generateTextConfig(
+          noDataText,
+          {
+            width: layout.innerWidth,
+            height: layout.innerHeight,
+            x: layout.innerX,
+            y: layout.innerY,
+          },
+          style
+        )
+      : undefined;
+  }
+}
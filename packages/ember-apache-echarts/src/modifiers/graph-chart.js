@@ -0,0 +1,354 @@
+import uniq from 'lodash/uniq';
+import * as echarts from 'echarts';
+import resolveStyle from '../utils/style/resolve-style';
+import AbstractChartModifier from './abstract-chart';
+
+const DEFAULT_SOURCE_PROPERTY = 'source';
+const DEFAULT_TARGET_PROPERTY = 'target';
+const DEFAULT_VALUE_PROPERTY = 'value';
+const DEFAULT_CATEGORY_PROPERTY = 'category';
+
+/**
+ * Renders a network of nodes connected by edges as a graph.
+ *
+ * # Arguments
+ *
+ * ## Data
+ *
+ * `edges`
+ * : An array of edge objects, where each edge object has a source property
+ *   (e.g., `source`), a target property (e.g., `target`) and an optional value
+ *   property (e.g., `value`). The source and target are the names of the nodes.
+ *
+ * `nodes`
+ * : An array of nodes, where each node is either the name of the node or an
+ *   object with a `name` property, an optional category property (e.g.,
+ *   `category`) and an optional value property (e.g., `value`). For the
+ *   `fixed` layout, each node object also has an `x` and `y` property. Defaults
+ *   to the unique sources and targets of the edges.
+ *
+ * `sourceProperty`
+ * : The name of the property within the edges to use as the source
+ *
+ * `targetProperty`
+ * : The name of the property within the edges to use as the target
+ *
+ * `valueProperty`
+ * : The name of the property within the nodes and edges to use as the value
+ *
+ * `categoryProperty`
+ * : The name of the property within the nodes to use as the category
+ *
+ *
+ * ## Chart Layout
+ *
+ * `chartStyle`
+ * : CSS properties for the entire chart including background color, border,
+ *   margins and padding.
+ *
+ * `chartTitleStyle`
+ * : CSS properties for the title for the entire chart including color, font,
+ *   background color, border and alignment.
+ *
+ * `cellStyle`
+ * : CSS properties defining the style for the plot
+ *
+ *
+ * ## Plots
+ *
+ * `layout`
+ * : How to position the nodes: `force` (default) to use a force-directed
+ *   layout, `circular` to place the nodes on a circle or `fixed` to use the `x`
+ *   and `y` of each node
+ *
+ * `colorMap`
+ * : A hash that maps node categories to the colors to use for the nodes in
+ *   those categories
+ *
+ * `directed`
+ * : Whether to render an arrow at the target end of each edge
+ *
+ * `nodeSize`
+ * : The size of each node in pixels. Defaults to 16.
+ *
+ * `edgeLength`
+ * : The distance between connected nodes in pixels for the `force` layout.
+ *   Defaults to 80.
+ *
+ * `repulsion`
+ * : The repulsion between nodes for the `force` layout. Defaults to 200.
+ *
+ * `roam`
+ * : Whether the user can pan and zoom the graph. Defaults to `false`.
+ *
+ * `nodeLabelStyle`
+ * : CSS properties defining the style of the node labels
+ *
+ * `valueFormatter`
+ * : The function used to format the values of nodes and edges in tooltips.
+ *   Passed the value to be formatted and the type of tooltip (`nodeTooltip` or
+ *   `edgeTooltip`).
+ *
+ *
+ * ## Legend
+ *
+ * `legend`
+ * : Whether and where to display a legend of the node categories: `none`,
+ *   `top`, `bottom`, `left`, `right`, `topLeft`, `topRight`, `bottomLeft`,
+ *   `bottomRight`, `leftTop`, `leftBottom`, `rightTop`, `rightBottom`
+ *
+ * `legendOrientation`
+ * : Which orientation to render the legend: `horizontal`, `vertical` or `auto`
+ *   (default)
+ *
+ * `legendStyle`
+ * : CSS properties for the chart legend including color, font, background
+ *   color, border and alignment.
+ *
+ *
+ * ## Tooltips
+ *
+ * `tooltipFormatter`
+ * : The function used to generate the tool tip
+ *
+ *
+ * ## Events
+ *
+ * `onSelect`
+ * : Called when a node or edge is selected. Passed the node or edge object
+ *   from the chart data and the type of element selected (`node` or `edge`).
+ */
+export default class GraphChartModifier extends AbstractChartModifier {
+  get defaultStyles() {
+    const styles = super.defaultStyles;
+
+    return {
+      ...styles,
+      nodeLabel: {
+        font: 'normal 12px Montserrat,sans-serif',
+        margin: 5,
+      },
+    };
+  }
+
+  /**
+   * Formats the `value` within `params` using the value formatter and resolves
+   * the original node or edge for the `data`. For edges, the names of the
+   * `source` and `target` nodes are added as well.
+   */
+  formatTooltipParams(args, params, data) {
+    const { valueFormatter = echarts.format.addCommas } = args;
+    const isEdge = params.dataType === 'edge';
+
+    return {
+      ...params,
+      ...(isEdge && {
+        source: params.data.source,
+        target: params.data.target,
+      }),
+      data: isEdge
+        ? data.edges[params.dataIndex]
+        : data.nodes[params.dataIndex],
+      value:
+        params.value != null
+          ? valueFormatter(params.value, isEdge ? 'edgeTooltip' : 'nodeTooltip')
+          : undefined,
+    };
+  }
+
+  configureChart(args, chart) {
+    const { tooltipFormatter, onSelect } = args;
+    const { config, context } = this.buildLayout(args, chart);
+
+    chart.setOption(
+      {
+        ...config,
+        tooltip: {
+          trigger: 'item',
+          ...(tooltipFormatter && {
+            formatter: (params) =>
+              tooltipFormatter(
+                this.formatTooltipParams(args, params, context.data)
+              ),
+          }),
+        },
+      },
+      {
+        notMerge: true,
+      }
+    );
+
+    chart.handle('selectchanged', (event) => {
+      const { fromAction, fromActionPayload, isFromClick } = event;
+
+      if (!isFromClick || !onSelect) {
+        return;
+      }
+
+      const isEdge = fromActionPayload.dataType === 'edge';
+      const item = (isEdge ? context.data.edges : context.data.nodes)[
+        fromActionPayload.dataIndexInside
+      ];
+
+      if (fromAction === 'select' && item) {
+        onSelect(item, isEdge ? 'edge' : 'node');
+      } else {
+        onSelect(null);
+      }
+    });
+  }
+
+  /**
+   * Generates the `data` section of the context used to construct this chart.
+   *
+   * The nodes and edges are rendered within a single cell, so the context
+   * contains a single series whose data are the nodes. The original nodes and
+   * edges are kept in `nodes` and `edges` for resolving tooltips and
+   * selections.
+   */
+  createContextData(args) {
+    const { sourceProperty = DEFAULT_SOURCE_PROPERTY } = args;
+    const { targetProperty = DEFAULT_TARGET_PROPERTY } = args;
+    const { valueProperty = DEFAULT_VALUE_PROPERTY } = args;
+    const { categoryProperty = DEFAULT_CATEGORY_PROPERTY } = args;
+    const rows = args.edges ?? [];
+    const edges = rows.map((edge) => ({
+      source: `${edge[sourceProperty]}`,
+      target: `${edge[targetProperty]}`,
+      value: edge[valueProperty],
+    }));
+    const nodes = (
+      args.nodes ??
+      uniq(edges.flatMap(({ source, target }) => [source, target]))
+    ).map((node) => (typeof node === 'object' ? node : { name: node }));
+    const categories = uniq(
+      nodes.map((node) => node[categoryProperty]).filter((name) => name != null)
+    );
+
+    return {
+      series: [
+        {
+          data: nodes.map((node) => ({
+            name: `${node.name}`,
+            value: node[valueProperty],
+            x: node.x,
+            y: node.y,
+            ...(node[categoryProperty] != null && {
+              category: categories.indexOf(node[categoryProperty]),
+            }),
+          })),
+          edges,
+          categories,
+        },
+      ],
+      nodes,
+      edges: rows,
+    };
+  }
+
+  /**
+   * Returns the categories of the nodes as the labels for the legend.
+   */
+  getLegendLabels(series) {
+    return series[0].categories;
+  }
+
+  /**
+   * Generates the plot config for the graph.
+   */
+  generatePlotConfig(series, layout, context) {
+    const { args, styles } = context;
+    const { noDataText, colorMap, directed, roam = false } = args;
+    const { nodeSize = 16, edgeLength = 80, repulsion = 200 } = args;
+    // Renamed, since `layout` is the layout of the cell
+    const { layout: graphLayout = 'force' } = args;
+
+    if (series.data.length == 0 && noDataText) {
+      return undefined;
+    }
+
+    const style = resolveStyle(styles.nodeLabel, context.layout);
+
+    return {
+      series: [
+        {
+          type: 'graph',
+          left: layout.innerX,
+          top: layout.innerY,
+          width: layout.innerWidth,
+          height: layout.innerHeight,
+          // prettier not formatting nested ternaries properly, so turn it off
+          // prettier-ignore
+          layout:
+            graphLayout === 'fixed'
+              ? 'none'
+              : graphLayout === 'circular'
+                ? 'circular'
+                : 'force',
+          force: {
+            edgeLength,
+            repulsion,
+          },
+          circular: {
+            rotateLabel: true,
+          },
+          roam,
+          symbolSize: nodeSize,
+          ...(directed && {
+            edgeSymbol: ['none', 'arrow'],
+            edgeSymbolSize: 8,
+          }),
+          // if this is changed, update the select handler in `configureChart`
+          selectedMode: 'single',
+          emphasis: {
+            focus: 'adjacency',
+          },
+          label: {
+            show: true,
+            position: 'right',
+            distance: style.marginLeft,
+            color: style.color,
+            fontStyle: style.fontStyle,
+            fontWeight: style.fontWeight,
+            fontFamily: style.fontFamily,
+            fontSize: style.fontSize,
+          },
+          lineStyle: {
+            color: 'source',
+            opacity: 0.6,
+          },
+          categories: series.categories.map((name) => ({
+            name,
+            ...(colorMap?.[name] && {
+              itemStyle: {
+                color: colorMap[name],
+              },
+            }),
+          })),
+          data: series.data,
+          edges: series.edges,
+        },
+      ],
+    };
+  }
+
+  /**
+   * Generates text to overlay on each cell of the chart, if any.
+   */
+  generateTextOverlayConfig(series, args, layout, style) {
+    const { noDataText } = args;
+
+    return series.data.length == 0 && noDataText
+      ? this.generateTextConfig(
+          noDataText,
+          {
+            width: layout.innerWidth,
+            height: layout.innerHeight,
+            x: layout.innerX,
+            y: layout.innerY,
+          },
+          style
+        )
+      : undefined;
+  }
+}
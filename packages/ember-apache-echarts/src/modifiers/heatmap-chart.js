@@ -0,0 +1,428 @@
+import * as echarts from 'echarts';
+import computeValueRange from '../utils/data/compute-value-range';
+import getUniqueDatasetValues from '../utils/data/get-unique-dataset-values';
+import sortCategories from '../utils/data/sort-categories';
+import computeMaxTextMetrics from '../utils/layout/compute-max-text-metrics';
+import resolveStyle from '../utils/style/resolve-style';
+import AbstractChartModifier from './abstract-chart';
+
+const DEFAULT_CATEGORY_PROPERTY = 'name';
+const DEFAULT_VALUE_PROPERTY = 'value';
+
+const getRowLabel = (series) => series.label ?? series.name;
+
+/**
+ * Renders a heatmap where each series is a row and each category is a column.
+ *
+ * # Arguments
+ *
+ * ## Data
+ *
+ * `data`
+ * : An array of data objects, where each data object has a category property
+ *   (e.g., `name`) and a value property (e.g., `value`). Renders as a single
+ *   row.
+ *
+ * `series`
+ * : An array of data series, where each series has a label defined using the
+ *   `label` or `name` property and data contained in the `data` property (see
+ *   `data` argument above for the format). Each series is rendered as a row of
+ *   the heatmap. When the `series` argument is present, the `data` argument is
+ *   ignored.
+ *
+ * `categoryProperty`
+ * : The name of the property within the data to use as the category (column)
+ *   for each data point.
+ *
+ * `valueProperty`
+ * : The name of the property within the data to use as the value for each data
+ *   point.
+ *
+ *
+ * ## Chart Layout
+ *
+ * `chartStyle`
+ * : CSS properties for the entire chart including background color, border,
+ *   margins and padding.
+ *
+ * `chartTitleStyle`
+ * : CSS properties for the title for the entire chart including color, font,
+ *   background color, border and alignment.
+ *
+ * `cellStyle`
+ * : CSS properties defining the style for the plot cell
+ *
+ *
+ * ## Axes
+ *
+ * `categoryAxisSort`
+ * : How to sort the labels on the category axis: `firstSeries` (default),
+ *   `asc`, `desc` or a custom sort function. By default, the sort order of the
+ *   labels for the data in the first series is used.
+ *
+ * `categoryAxisMaxLabelCount`
+ * : The maximum number of categories to show on the category axis.
+ *
+ * `categoryAxisFormatter`, `valueAxisFormatter`
+ * : Functions used to format the categories or values, respectively. Passed
+ *   the value to be formatted and the type of element the value is being
+ *   formatted for (`axis`, `legend` or `itemTooltip`).
+ *
+ * `valueAxisMin`, `valueAxisMax`
+ * : The minimum and maximum values of the color scale. Default to the minimum
+ *   and maximum of the data.
+ *
+ * `missingCategoryFormat`, `missingValueFormat`
+ * : The text to use when the category or value is missing, i.e., an empty
+ *   string, undefined or null.
+ *
+ * `xAxisStyle`, `yAxisStyle`
+ * : CSS properties defining the style for the category axis (X axis) and the
+ *   series axis (Y axis), respectively
+ *
+ *
+ * ## Color Scale
+ *
+ * `colorScale`
+ * : The type of color scale used to color the cells: `continuous` (default) or
+ *   `piecewise`
+ *
+ * `colorScaleSplitNumber`
+ * : The number of pieces to split the color scale into when using the
+ *   `piecewise` color scale. Defaults to 5.
+ *
+ * `colorRange`
+ * : An array of the colors used to color the cells from the minimum to the
+ *   maximum value
+ *
+ *
+ * ## Legend
+ *
+ * `legend`
+ * : Whether and where to display the color scale legend: `none`, `top`,
+ *   `bottom`, `left`, `right`, `topLeft`, `topRight`, `bottomLeft`,
+ *   `bottomRight`, `leftTop`, `leftBottom`, `rightTop`, `rightBottom`
+ *
+ * `legendOrientation`
+ * : Which orientation to render the legend: `horizontal`, `vertical` or `auto`
+ *   (default), where `auto` renders the legend horizontally when positioned
+ *   on the top or bottom of the chart, and vertically when positioned on the
+ *   left or right of the chart
+ *
+ * `legendStyle`
+ * : CSS properties for the chart legend including color, font, background
+ *   color, border and alignment.
+ *
+ *
+ * ## Tooltips
+ *
+ * `tooltipFormatter`
+ * : The function used to generate the tool tip
+ *
+ *
+ * ## Events
+ *
+ * `onSelect`
+ * : Called when a cell on the chart is selected. Passed the category and the
+ *   label of the series for the cell.
+ */
+export default class HeatmapChartModifier extends AbstractChartModifier {
+  get defaultStyles() {
+    const styles = super.defaultStyles;
+
+    return {
+      ...styles,
+      xAxis: {
+        font: 'normal 12px Montserrat,sans-serif',
+        textAlign: 'center',
+        marginTop: 8,
+      },
+      yAxis: {
+        font: 'normal 12px Montserrat,sans-serif',
+        textAlign: 'right',
+        marginRight: 8,
+      },
+    };
+  }
+
+  /**
+   * Returns the categories used within the data series in render order.
+   */
+  getCategories(args, series) {
+    const { categoryAxisSort = 'firstSeries' } = args;
+    const { categoryProperty = DEFAULT_CATEGORY_PROPERTY } = args;
+    const categories = getUniqueDatasetValues(series, categoryProperty);
+
+    return sortCategories(categories, categoryAxisSort);
+  }
+
+  /**
+   * Formats the `name` and `value` within `params` when a category or value
+   * formatter are defined, respectively, and resolves the series for the row
+   * the item belongs to.
+   */
+  formatTooltipParams(args, params, elementType, dataset) {
+    const { valueAxisFormatter = echarts.format.addCommas } = args;
+    const { categoryAxisFormatter } = args;
+    const { missingCategoryFormat, missingValueFormat } = args;
+    const [, row, value] = params.value;
+    const series = dataset[row];
+
+    // prettier not formatting nested ternaries properly, so turn it off
+    // prettier-ignore
+    return {
+      ...params,
+      seriesIndex: row,
+      seriesName: getRowLabel(series),
+      data: series.data[params.data.itemIndex],
+      value:
+        value == null && missingValueFormat != null
+          ? missingValueFormat
+          : valueAxisFormatter
+            ? valueAxisFormatter(value, elementType)
+            : value,
+      category:
+        !params.name && missingCategoryFormat != null
+          ? missingCategoryFormat
+          : categoryAxisFormatter
+            ? categoryAxisFormatter(params.name, elementType)
+            : params.name,
+    };
+  }
+
+  configureChart(args, chart) {
+    const { tooltipFormatter, onSelect } = args;
+    const { config, context } = this.buildLayout(args, chart);
+
+    chart.setOption(
+      {
+        ...config,
+        tooltip: {
+          trigger: 'item',
+          ...(tooltipFormatter && {
+            formatter: (params) =>
+              tooltipFormatter(
+                this.formatTooltipParams(
+                  args,
+                  params,
+                  'itemTooltip',
+                  context.data.dataset
+                ),
+                context.data.dataset
+              ),
+          }),
+        },
+      },
+      {
+        notMerge: true,
+      }
+    );
+
+    chart.handle('selectchanged', (event) => {
+      const { fromAction, fromActionPayload, isFromClick } = event;
+
+      if (!isFromClick || !onSelect) {
+        return;
+      }
+
+      const item =
+        config.series[fromActionPayload.seriesIndex]?.data[
+          fromActionPayload.dataIndexInside
+        ];
+
+      if (fromAction === 'select' && item) {
+        onSelect(item.name, context.data.rows[item.value[1]]);
+      } else {
+        onSelect(null);
+      }
+    });
+  }
+
+  /**
+   * Generates the `data` section of the context used to construct this chart.
+   */
+  createContextData(args, chart) {
+    const context = super.createContextData(args, chart);
+    const { valueProperty = DEFAULT_VALUE_PROPERTY } = args;
+
+    return {
+      ...context,
+      valueRange: computeValueRange(context.series, valueProperty),
+      categories: this.getCategories(args, context.series),
+      rows: context.series.map(getRowLabel),
+      // All series are rendered on a single plot, one row per series
+      series: [{ data: context.series }],
+      dataset: context.series,
+    };
+  }
+
+  /**
+   * Adds the color scale legend to `config` in place of the standard legend.
+   */
+  addLegend(context, config) {
+    return this.addColorScaleLegend(context, config);
+  }
+
+  /**
+   * Generates the configuration for an axis label.
+   */
+  generateAxisLabelConfig(style) {
+    return {
+      color: style.color,
+      fontStyle: style.fontStyle,
+      fontWeight: style.fontWeight,
+      fontFamily: style.fontFamily,
+      fontSize: style.fontSize,
+      align: style.textAlign,
+    };
+  }
+
+  /**
+   * Generates the plot config for the heatmap.
+   */
+  generatePlotConfig(series, layout, context, gridIndex) {
+    const { args, styles, data } = context;
+    const { noDataText, categoryAxisFormatter } = args;
+    const { categoryAxisMaxLabelCount } = args;
+    const { categoryProperty = DEFAULT_CATEGORY_PROPERTY } = args;
+    const { valueProperty = DEFAULT_VALUE_PROPERTY } = args;
+    const { categories, rows } = data;
+    const hasData = series.data.some((info) => info.data?.length);
+
+    if (!hasData && noDataText) {
+      return undefined;
+    }
+
+    const columnIndexes = new Map(
+      categories.map((category, index) => [category?.valueOf(), index])
+    );
+
+    // Compute the space needed for the axis labels
+    const xAxisStyle = resolveStyle(styles.xAxis, context.layout);
+    const yAxisStyle = resolveStyle(styles.yAxis, context.layout);
+    const yLabelMetrics = computeMaxTextMetrics(
+      rows.map((row) => `${row ?? ''}`),
+      yAxisStyle
+    );
+    const yAxisWidth =
+      yLabelMetrics.width + yAxisStyle.marginLeft + yAxisStyle.marginRight;
+    const gridWidth = layout.innerWidth - yAxisWidth;
+    const labelCount = Math.min(
+      categoryAxisMaxLabelCount ?? categories.length,
+      categories.length
+    );
+    const maxLabelWidth = gridWidth / labelCount;
+    const xLabelMetrics = computeMaxTextMetrics(
+      categories.map((category) =>
+        categoryAxisFormatter
+          ? `${categoryAxisFormatter(category, 'axis')}`
+          : `${category}`
+      ),
+      xAxisStyle,
+      maxLabelWidth
+    );
+    const xAxisHeight =
+      xLabelMetrics.height + xAxisStyle.marginTop + xAxisStyle.marginBottom;
+
+    return {
+      grid: [
+        {
+          x: layout.innerX + yAxisWidth,
+          y: layout.innerY,
+          width: gridWidth,
+          height: layout.innerHeight - xAxisHeight,
+        },
+      ],
+      xAxis: [
+        {
+          gridIndex,
+          type: 'category',
+          data: categories,
+          splitArea: {
+            show: true,
+          },
+          axisLabel: {
+            ...(categoryAxisFormatter && {
+              formatter: (value, axisIndex) =>
+                categoryAxisFormatter(value, 'axis', axisIndex),
+            }),
+            interval:
+              labelCount < categories.length
+                ? Math.ceil(categories.length / labelCount) - 1
+                : 0,
+            overflow: 'break',
+            width: maxLabelWidth,
+            // margin between the axis label and the axis line
+            margin: xAxisStyle.marginTop,
+            ...this.generateAxisLabelConfig(xAxisStyle),
+          },
+        },
+      ],
+      yAxis: [
+        {
+          gridIndex,
+          type: 'category',
+          data: rows,
+          // Render the first series at the top
+          inverse: true,
+          splitArea: {
+            show: true,
+          },
+          axisLabel: {
+            // margin between the axis label and the axis line
+            margin: yAxisStyle.marginRight,
+            ...this.generateAxisLabelConfig(yAxisStyle),
+          },
+        },
+      ],
+      series: [
+        {
+          type: 'heatmap',
+          xAxisIndex: gridIndex,
+          yAxisIndex: gridIndex,
+          emphasis: {
+            itemStyle: {
+              shadowBlur: 3,
+              shadowColor: '#000000',
+            },
+          },
+          // if this is changed, update the select handler in `configureChart`
+          selectedMode: 'single',
+          data: series.data.flatMap((rowSeries, row) =>
+            (rowSeries.data ?? []).map((item, itemIndex) => ({
+              name: item[categoryProperty],
+              value: [
+                columnIndexes.get(item[categoryProperty]?.valueOf()),
+                row,
+                item[valueProperty],
+              ],
+              // Used to look up the item, since categories may be dates
+              itemIndex,
+            }))
+          ),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Generates text to overlay on each cell of the chart, if any.
+   */
+  generateTextOverlayConfig(series, args, layout, style) {
+    const { noDataText } = args;
+    const hasData = series.data.some((info) => info.data?.length);
+
+    return !hasData && noDataText
+      ? this.generateTextConfig(
+          noDataText,
+          {
+            width: layout.innerWidth,
+            height: layout.innerHeight,
+            x: layout.innerX,
+            y: layout.innerY,
+          },
+          style
+        )
+      : undefined;
+  }
+}
@@ -0,0 +1,166 @@
+import * as echarts from 'echarts';
+import computeHistogramBins from '../utils/data/compute-histogram-bins';
+import BarChartModifier from './bar-chart';
+
+const DEFAULT_VALUE_PROPERTY = 'value';
+
+/**
+ * Returns the numeric values within `data`, where each item is either a number
+ * or a data object with a value property.
+ */
+const getValues = (data, valueProperty) =>
+  (data ?? []).map((item) =>
+    typeof item === 'object' && item != null ? item[valueProperty] : item
+  );
+
+/**
+ * Formats the range of a bin as a label, rounding the start and end to a
+ * precision appropriate for the width of the bin.
+ */
+const formatBinLabel = (start, end) => {
+  const precision = Math.max(0, 1 - Math.floor(Math.log10(end - start || 1)));
+  const format = (value) => echarts.format.addCommas(value.toFixed(precision));
+
+  return `${format(start)} – ${format(end)}`;
+};
+
+/**
+ * Renders the distribution of the values in one or more series as histograms.
+ *
+ * The values are divided into bins, which are shared across all series, and
+ * the count of the values within each bin are rendered using the bar chart.
+ * All arguments of the bar chart are supported except those related to the
+ * data, which are replaced by the arguments below.
+ *
+ * # Arguments
+ *
+ * ## Data
+ *
+ * `data`
+ * : An array of values, where each value is either a number or a data object
+ *   with a value property (e.g., `value`).
+ *
+ * `series`
+ * : An array of data series, where each series has a label defined using the
+ *   `label` or `name` property and values contained in the `data` property
+ *   (see `data` argument above for the format). When the `series` argument is
+ *   present, the `data` argument is ignored.
+ *
+ * `valueProperty`
+ * : The name of the property within the data objects to use as the value
+ *
+ *
+ * ## Bins
+ *
+ * `binWidth`
+ * : The width of each bin. The bins start at a multiple of the width.
+ *
+ * `binCount`
+ * : The number of bins to divide the range of the values into. Ignored if
+ *   `binWidth` is defined.
+ *
+ * `binMethod`
+ * : The rule used to compute the number of bins when neither `binWidth` nor
+ *   `binCount` are defined: `sturges` (default) or `freedmanDiaconis`
+ *
+ * `binFormatter`
+ * : The function used to format the label of each bin. Passed the start and
+ *   end of the bin.
+ */
+export default class HistogramChartModifier extends BarChartModifier {
+  configureChart(args, chart) {
+    super.configureChart(this.computeBinnedArgs(args), chart);
+  }
+
+  /**
+   * Converts the values in the data of `args` into series of bins with their
+   * counts, returning the arguments for rendering the bins as a bar chart.
+   */
+  computeBinnedArgs(args) {
+    const { binWidth, binCount, binMethod } = args;
+    const { binFormatter = formatBinLabel } = args;
+    const { valueProperty = DEFAULT_VALUE_PROPERTY } = args;
+    const series = args.series ?? [{ data: args.data }];
+    const values = series.map((info) => getValues(info.data, valueProperty));
+
+    // Compute the bins across all series so each series shares the same bins
+    const bins = computeHistogramBins(values.flat(), {
+      binWidth,
+      binCount,
+      binMethod,
+    });
+    const first = bins[0];
+    const last = bins[bins.length - 1];
+
+    return {
+      ...args,
+      data: undefined,
+      series: series.map((info, index) => ({
+        ...info,
+        data: (first
+          ? computeHistogramBins(values[index], {
+              binCount: bins.length,
+              minimum: first.start,
+              maximum: last.end,
+            })
+          : []
+        ).map((bin, binIndex) => ({
+          name: binFormatter(bins[binIndex].start, bins[binIndex].end),
+          value: bin.count,
+          bin: {
+            ...bins[binIndex],
+            count: bin.count,
+          },
+        })),
+      })),
+      rotateData: false,
+      // Collapsing would merge bins rather than categories
+      maxCategories: undefined,
+      categoryProperty: 'name',
+      valueProperty: 'value',
+      categoryAxisType: 'category',
+      categoryAxisSort: 'firstSeries',
+      categoryAxisScale: 'shared',
+    };
+  }
+
+  /**
+   * Adds the `bin` for the item to the formatted `params`.
+   */
+  formatTooltipParams(args, params, elementType, dataset) {
+    const series = args.series[params.seriesIndex];
+    const item = series?.data.find((item) => item.name === params.name);
+
+    return {
+      ...super.formatTooltipParams(args, params, elementType, dataset),
+      bin: item?.bin,
+    };
+  }
+
+  /**
+   * Generates the plot config for a single plot on this chart, rendering the
+   * bars for adjacent bins next to each other in the color of the series.
+   */
+  generatePlotConfig(series, layout, context, gridIndex) {
+    const { variant } = context.args;
+    const config = super.generatePlotConfig(series, layout, context, gridIndex);
+    const binnedData =
+      this.isGroupedVariant(variant) || this.isStackedVariant(variant)
+        ? series.data.map((info) => info.data)
+        : [series.data];
+
+    return (
+      config && {
+        ...config,
+        series: config.series.map((info, index) => ({
+          ...info,
+          // The bar chart skips zero values, but empty bins need to be
+          // rendered to keep the bins aligned with the category axis
+          data: binnedData[index].map((item) => item.value),
+          colorBy: 'series',
+          barCategoryGap: 1,
+        })),
+      }
+    );
+  }
+}
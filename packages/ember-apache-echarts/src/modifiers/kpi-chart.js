@@ -0,0 +1,354 @@
+import * as echarts from 'echarts';
+import computeTextHeight from '../utils/layout/compute-text-height';
+import resolveStyle from '../utils/style/resolve-style';
+import AbstractChartModifier from './abstract-chart';
+
+const DEFAULT_VALUE_PROPERTY = 'value';
+
+// The space between the headline text and the sparkline
+const SPARKLINE_GAP = 8;
+
+/**
+ * Renders one or more KPIs, where each KPI is a headline value with an optional
+ * delta against a comparison value and an optional sparkline showing the
+ * history of the value.
+ *
+ * # Arguments
+ *
+ * ## Data
+ *
+ * `value`
+ * : The headline value when rendering a single KPI. Defaults to the value of
+ *   the last data object in `data`.
+ *
+ * `comparisonValue`
+ * : The value to compare the headline value against when rendering a single
+ *   KPI, such as the value for the previous period
+ *
+ * `data`
+ * : An array of data objects used to render the sparkline when rendering a
+ *   single KPI, where each data object has a value property (e.g., `value`)
+ *
+ * `series`
+ * : An array of KPIs, where each KPI has a label defined using the `label` or
+ *   `name` property, a `value`, a `comparisonValue` and `data` (see the
+ *   arguments above for their format). Each KPI is rendered in its own cell.
+ *   When the `series` argument is present, the `value`, `comparisonValue` and
+ *   `data` arguments are ignored.
+ *
+ * `valueProperty`
+ * : The name of the property within the data to use as the value for each data
+ *   point.
+ *
+ *
+ * ## Chart Layout
+ *
+ * `chartStyle`
+ * : CSS properties for the entire chart including background color, border,
+ *   margins and padding.
+ *
+ * `chartTitleStyle`
+ * : CSS properties for the title for the entire chart including color, font,
+ *   background color, border and alignment.
+ *
+ * `cellStyle`
+ * : CSS properties defining the style for individual KPIs when rendering more
+ *   than one KPI
+ *
+ * `cellTitleStyle`
+ * : CSS properties defining the style for the titles for individual KPIs when
+ *   rendering more than one KPI
+ *
+ * `maxColumns`
+ * : The maximum number of columns to render when rendering more than one KPI
+ *
+ *
+ * ## KPIs
+ *
+ * `valueFormatter`
+ * : The function used to format the headline value. Passed the value to be
+ *   formatted.
+ *
+ * `deltaFormat`
+ * : Whether to display the delta as a `percent` of the comparison value
+ *   (default) or as an `absolute` difference. Absolute differences are
+ *   displayed when the comparison value is zero.
+ *
+ * `deltaFormatter`
+ * : The function used to format the delta. Passed the absolute difference and
+ *   the percent difference (or `undefined` when the comparison value is zero).
+ *
+ * `comparisonLabel`
+ * : Text to display after the delta, such as `vs last month`
+ *
+ * `lowerIsBetter`
+ * : When true, decreases are rendered using the `increaseColor` and increases
+ *   using the `decreaseColor`
+ *
+ * `increaseColor`, `decreaseColor`
+ * : The colors used to render the delta when the value has improved or worsened
+ *   relative to the comparison value
+ *
+ * `kpiValueStyle`
+ * : CSS properties defining the style of the headline value
+ *
+ * `kpiDeltaStyle`
+ * : CSS properties defining the style of the delta. The color is only used
+ *   when the delta is zero.
+ *
+ *
+ * ## Sparklines
+ *
+ * `sparkline`
+ * : How to render the sparkline when a KPI has at least two data objects:
+ *   `line` (default), `area`, `bar` or `none`
+ */
+export default class KpiChartModifier extends AbstractChartModifier {
+  get defaultStyles() {
+    const styles = super.defaultStyles;
+
+    return {
+      ...styles,
+      kpiValue: {
+        font: 'bold 36px Montserrat,sans-serif',
+        textAlign: 'center',
+      },
+      kpiDelta: {
+        font: 'normal 14px Montserrat,sans-serif',
+        color: '#757575',
+        textAlign: 'center',
+        marginTop: 4,
+      },
+    };
+  }
+
+  configureChart(args, chart) {
+    const { config } = this.buildLayout(args, chart);
+
+    chart.setOption(config, {
+      notMerge: true,
+    });
+  }
+
+  createContextData(args) {
+    const { valueProperty = DEFAULT_VALUE_PROPERTY } = args;
+    const series = args.series ?? [
+      {
+        value: args.value,
+        comparisonValue: args.comparisonValue,
+        data: args.data,
+      },
+    ];
+
+    return {
+      series: series.map((info) => ({
+        ...info,
+        data: info.data ?? [],
+        value: info.value ?? info.data?.[info.data.length - 1]?.[valueProperty],
+      })),
+    };
+  }
+
+  /**
+   * Returns whether a sparkline should be rendered for the `series`.
+   */
+  hasSparkline(series, args) {
+    const { sparkline = 'line' } = args;
+
+    return sparkline !== 'none' && series.data.length > 1;
+  }
+
+  /**
+   * Formats the difference between `value` and `comparisonValue` for display.
+   */
+  formatDelta(value, comparisonValue, args) {
+    const { deltaFormat = 'percent', deltaFormatter } = args;
+    const delta = value - comparisonValue;
+    const percent =
+      comparisonValue !== 0
+        ? (delta / Math.abs(comparisonValue)) * 100
+        : undefined;
+
+    if (deltaFormatter) {
+      return deltaFormatter(delta, percent);
+    }
+
+    // prettier-ignore
+    const arrow =
+      delta > 0 ? '▲ ' :
+      delta < 0 ? '▼ ' :
+      '';
+
+    return deltaFormat === 'percent' && percent !== undefined
+      ? `${arrow}${Math.abs(percent).toFixed(1)}%`
+      : `${arrow}${echarts.format.addCommas(Math.abs(delta))}`;
+  }
+
+  /**
+   * Returns the color for the delta between `value` and `comparisonValue`.
+   */
+  getDeltaColor(value, comparisonValue, args, style) {
+    const { lowerIsBetter } = args;
+    const { increaseColor = '#2e7d32', decreaseColor = '#c62828' } = args;
+    const delta = lowerIsBetter
+      ? comparisonValue - value
+      : value - comparisonValue;
+
+    // prettier-ignore
+    return (
+      delta > 0 ? increaseColor :
+      delta < 0 ? decreaseColor :
+      style.color
+    );
+  }
+
+  /**
+   * Generates the plot config for a single KPI on this chart.
+   */
+  generatePlotConfig(series, layout, context) {
+    const { args, styles } = context;
+    const { noDataText, comparisonLabel } = args;
+    const { valueFormatter = echarts.format.addCommas } = args;
+    const { value, comparisonValue } = series;
+
+    if (value == null && noDataText) {
+      return undefined;
+    }
+
+    const valueStyle = resolveStyle(styles.kpiValue, context.layout);
+    const deltaStyle = resolveStyle(styles.kpiDelta, context.layout);
+    const hasDelta = value != null && comparisonValue != null;
+    const valueHeight = computeTextHeight(valueStyle);
+    const deltaHeight = hasDelta ? computeTextHeight(deltaStyle) : 0;
+    const textHeight = valueHeight + deltaHeight;
+    const hasSparkline = this.hasSparkline(series, args);
+    const textY = hasSparkline
+      ? layout.innerY
+      : layout.innerY + Math.max(0, (layout.innerHeight - textHeight) / 2);
+    const textLayout = {
+      chartWidth: context.layout.chartWidth,
+      x: layout.innerX,
+      width: layout.innerWidth,
+    };
+
+    return [
+      this.generateTextConfig(
+        value != null ? valueFormatter(value) : '',
+        {
+          ...textLayout,
+          y: textY,
+          height: valueHeight,
+        },
+        valueStyle
+      ),
+      hasDelta &&
+        this.generateTextConfig(
+          [this.formatDelta(value, comparisonValue, args), comparisonLabel]
+            .filter(Boolean)
+            .join(' '),
+          {
+            ...textLayout,
+            y: textY + valueHeight,
+            height: deltaHeight,
+          },
+          {
+            ...deltaStyle,
+            color: this.getDeltaColor(value, comparisonValue, args, deltaStyle),
+          }
+        ),
+      hasSparkline &&
+        this.generateSparklineConfig(
+          series,
+          {
+            x: layout.innerX,
+            y: layout.innerY + textHeight + SPARKLINE_GAP,
+            width: layout.innerWidth,
+            height: Math.max(
+              0,
+              layout.innerHeight - textHeight - SPARKLINE_GAP
+            ),
+          },
+          context
+        ),
+    ].filter(Boolean);
+  }
+
+  /**
+   * Generates the config for the sparkline of a KPI. Since not all KPIs have
+   * sparklines, the index of the sparkline grid is computed from the KPIs
+   * preceding this one.
+   */
+  generateSparklineConfig(series, layout, context) {
+    const { args, data } = context;
+    const { sparkline = 'line' } = args;
+    const { valueProperty = DEFAULT_VALUE_PROPERTY } = args;
+    const seriesIndex = data.series.indexOf(series);
+    const gridIndex = data.series
+      .slice(0, seriesIndex)
+      .filter((info) => this.hasSparkline(info, args)).length;
+    const isBar = sparkline === 'bar';
+
+    return {
+      grid: [
+        {
+          left: layout.x,
+          top: layout.y,
+          width: layout.width,
+          height: layout.height,
+        },
+      ],
+      xAxis: [
+        {
+          gridIndex,
+          type: 'category',
+          show: false,
+          boundaryGap: isBar,
+          data: series.data.map((item, index) => index),
+        },
+      ],
+      yAxis: [
+        {
+          gridIndex,
+          type: 'value',
+          show: false,
+          scale: !isBar,
+        },
+      ],
+      series: [
+        {
+          type: isBar ? 'bar' : 'line',
+          xAxisIndex: gridIndex,
+          yAxisIndex: gridIndex,
+          silent: true,
+          showSymbol: false,
+          ...(sparkline === 'area' && {
+            areaStyle: {
+              opacity: 0.2,
+            },
+          }),
+          data: series.data.map((item) => item[valueProperty]),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Generates text to overlay on each cell of the chart, if any.
+   */
+  generateTextOverlayConfig(series, args, layout, style) {
+    const { noDataText } = args;
+
+    return series.value == null && noDataText
+      ? this.generateTextConfig(
+          noDataText,
+          {
+            width: layout.innerWidth,
+            height: layout.innerHeight,
+            x: layout.innerX,
+            y: layout.innerY,
+          },
+          style
+        )
+      : undefined;
+  }
+}
@@ -0,0 +1,323 @@
+import { guidFor } from '@ember/object/internals';
+import * as echarts from 'echarts';
+import computeValueRange from '../utils/data/compute-value-range';
+import AbstractChartModifier from './abstract-chart';
+
+const DEFAULT_CATEGORY_PROPERTY = 'name';
+const DEFAULT_VALUE_PROPERTY = 'value';
+
+/**
+ * Renders one or more geographic maps, with one map per series, where each
+ * region of the map is colored by its value.
+ *
+ * # Arguments
+ *
+ * ## Data
+ *
+ * `geoJson`
+ * : A GeoJSON object containing the features for the regions of the map. The
+ *   GeoJSON is registered with ECharts when the chart is rendered.
+ *
+ * `mapName`
+ * : The name to register the GeoJSON under. Defaults to a name unique to this
+ *   chart. If `geoJson` is not defined, the name of a map that has already been
+ *   registered with ECharts.
+ *
+ * `regionNameProperty`
+ * : The name of the property within the `properties` of each GeoJSON feature
+ *   to use as the name of the region. Defaults to `name`.
+ *
+ * `data`
+ * : An array of data objects, where each data object has a category property
+ *   (e.g., `name`) containing the name of a region and a value property (e.g.,
+ *   `value`).
+ *
+ * `series`
+ * : An array of data series, where each series has a label defined using the
+ *   `label` or `name` property and data contained in the `data` property (see
+ *   `data` argument above for the format). When the `series` argument is
+ *   present, the `data` argument is ignored.
+ *
+ * `categoryProperty`
+ * : The name of the property within the data to use as the region name for
+ *   each data point. Defaults to `name`.
+ *
+ * `valueProperty`
+ * : The name of the property within the data to use as the value for each data
+ *   point. Defaults to `value`.
+ *
+ *
+ * ## Chart Layout
+ *
+ * `chartStyle`
+ * : CSS properties for the entire chart including background color, border,
+ *   margins and padding.
+ *
+ * `chartTitleStyle`
+ * : CSS properties for the title for the entire chart including color, font,
+ *   background color, border and alignment.
+ *
+ * `maxColumns`
+ * : The maximum number of columns to render when rendering more than one series
+ *
+ *
+ * ## Plots
+ *
+ * `roam`
+ * : Whether the user can pan and zoom the maps. Defaults to `false`.
+ *
+ * `emptyRegionColor`
+ * : The color of regions without a value. Defaults to light gray.
+ *
+ * `cellStyle`
+ * : CSS properties defining the style for individual plots when rendering more
+ *   than one series
+ *
+ * `cellTitleStyle`
+ * : CSS properties defining the style for the titles for individual plots when
+ *   rendering more than one series
+ *
+ *
+ * ## Formatting
+ *
+ * `valueAxisFormatter`
+ * : The function used to format the values. Passed the value to be formatted
+ *   and the type of element the value is being formatted for (`legend` or
+ *   `itemTooltip`).
+ *
+ *
+ * ## Color Scale
+ *
+ * `colorScale`, `colorScaleSplitNumber`, `colorRange`, `valueAxisMin`,
+ * `valueAxisMax`
+ * : See `AbstractChartModifier.generateColorScaleConfig`
+ *
+ *
+ * ## Legend
+ *
+ * `legend`
+ * : Whether and where to display the color scale legend: `none`, `top`,
+ *   `bottom`, `left`, `right`, `topLeft`, `topRight`, `bottomLeft`,
+ *   `bottomRight`, `leftTop`, `leftBottom`, `rightTop`, `rightBottom`
+ *
+ * `legendOrientation`
+ * : Which orientation to render the legend: `horizontal`, `vertical` or `auto`
+ *   (default)
+ *
+ * `legendStyle`
+ * : CSS properties for the chart legend including color, font, background
+ *   color, border and alignment.
+ *
+ *
+ * ## Tooltips
+ *
+ * `tooltipFormatter`
+ * : The function used to generate the tool tip
+ *
+ *
+ * ## Events
+ *
+ * `onSelect`
+ * : Called when a region on a map is selected. Passed the name of the region
+ *   and the label of the series for the map.
+ */
+export default class MapChartModifier extends AbstractChartModifier {
+  registeredGeoJson;
+
+  /**
+   * Returns the name of the map the regions are rendered from.
+   */
+  getMapName(args) {
+    return args.mapName ?? `map-chart-${guidFor(this)}`;
+  }
+
+  /**
+   * Registers the GeoJSON in `args` with ECharts, unless it's already been
+   * registered by this chart.
+   */
+  registerMap(args) {
+    const { geoJson } = args;
+
+    if (geoJson && geoJson !== this.registeredGeoJson) {
+      echarts.registerMap(this.getMapName(args), geoJson);
+      this.registeredGeoJson = geoJson;
+    }
+  }
+
+  /**
+   * Formats the `value` within `params` when a value formatter is defined and
+   * resolves the original data item.
+   */
+  formatTooltipParams(args, params, elementType, dataset) {
+    const { valueAxisFormatter = echarts.format.addCommas } = args;
+    const { categoryProperty = DEFAULT_CATEGORY_PROPERTY } = args;
+    // The series ID is the index of the series in the dataset, since series
+    // without data are not rendered
+    const seriesIndex = parseInt(params.seriesId);
+    const hasValue = params.value != null && !isNaN(params.value);
+
+    return {
+      ...params,
+      seriesIndex,
+      data: dataset[seriesIndex]?.data?.find(
+        (item) => item[categoryProperty] === params.name
+      ),
+      value: hasValue ? valueAxisFormatter(params.value, elementType) : null,
+    };
+  }
+
+  configureChart(args, chart) {
+    const { tooltipFormatter, onSelect } = args;
+
+    this.registerMap(args);
+
+    const { config, context } = this.buildLayout(args, chart);
+
+    chart.setOption(
+      {
+        ...config,
+        tooltip: {
+          trigger: 'item',
+          ...(tooltipFormatter && {
+            formatter: (params) =>
+              tooltipFormatter(
+                this.formatTooltipParams(
+                  args,
+                  params,
+                  'itemTooltip',
+                  context.data.dataset
+                ),
+                context.data.dataset
+              ),
+          }),
+        },
+      },
+      {
+        notMerge: true,
+      }
+    );
+
+    chart.handle('selectchanged', (event) => {
+      const { fromAction, fromActionPayload, isFromClick } = event;
+
+      if (!isFromClick || !onSelect) {
+        return;
+      }
+
+      const seriesConfig = config.series[fromActionPayload.seriesIndex];
+      const series = context.data.dataset[parseInt(seriesConfig?.id)];
+      // The data of a map series includes every region of the map, not only
+      // those in the series data, so look up the name of the region from it
+      const name = chart
+        .getModel()
+        .getSeriesByIndex(fromActionPayload.seriesIndex)
+        ?.getData()
+        .getName(fromActionPayload.dataIndexInside);
+
+      if (fromAction === 'select' && name) {
+        onSelect(name, series?.label ?? series?.name);
+      } else {
+        onSelect(null);
+      }
+    });
+  }
+
+  /**
+   * Generates the `data` section of the context used to construct this chart.
+   */
+  createContextData(args, chart) {
+    const context = super.createContextData(args, chart);
+    const { valueProperty = DEFAULT_VALUE_PROPERTY } = args;
+
+    return {
+      ...context,
+      valueRange: computeValueRange(context.series, valueProperty),
+      dataset: context.series,
+    };
+  }
+
+  /**
+   * Adds the color scale legend to `config` in place of the standard legend.
+   */
+  addLegend(context, config) {
+    return this.addColorScaleLegend(context, config);
+  }
+
+  /**
+   * Generates the plot config for a single map on this chart.
+   */
+  generatePlotConfig(series, layout, context) {
+    const { args } = context;
+    const { noDataText, roam = false, regionNameProperty } = args;
+    const { emptyRegionColor = '#eee' } = args;
+    const { categoryProperty = DEFAULT_CATEGORY_PROPERTY } = args;
+    const { valueProperty = DEFAULT_VALUE_PROPERTY } = args;
+
+    if ((!series.data || series.data.length == 0) && noDataText) {
+      return undefined;
+    }
+
+    return {
+      series: [
+        {
+          // Used to look up the series, since series without data are skipped
+          id: `${layout.index}`,
+          type: 'map',
+          map: this.getMapName(args),
+          name: series.label ?? series.name,
+          ...(regionNameProperty && {
+            nameProperty: regionNameProperty,
+          }),
+          // The map is scaled to fit within the box while keeping its aspect
+          left: layout.innerX,
+          top: layout.innerY,
+          width: layout.innerWidth,
+          height: layout.innerHeight,
+          roam,
+          itemStyle: {
+            areaColor: emptyRegionColor,
+            borderColor: '#fff',
+          },
+          label: {
+            show: false,
+          },
+          emphasis: {
+            label: {
+              show: false,
+            },
+            itemStyle: {
+              shadowBlur: 3,
+              shadowColor: '#000000',
+            },
+          },
+          // if this is changed, update the select handler in `configureChart`
+          selectedMode: 'single',
+          data: (series.data ?? []).map((item) => ({
+            name: item[categoryProperty],
+            value: item[valueProperty],
+          })),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Generates text to overlay on each cell of the chart, if any.
+   */
+  generateTextOverlayConfig(series, args, layout, style) {
+    const { noDataText } = args;
+
+    return (!series.data || series.data.length == 0) && noDataText
+      ? this.generateTextConfig(
+          noDataText,
+          {
+            width: layout.innerWidth,
+            height: layout.innerHeight,
+            x: layout.innerX,
+            y: layout.innerY,
+          },
+          style
+        )
+      : undefined;
+  }
+}
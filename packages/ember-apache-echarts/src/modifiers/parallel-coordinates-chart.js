@@ -0,0 +1,389 @@
+import uniq from 'lodash/uniq';
+import * as echarts from 'echarts';
+import computeMaxTextMetrics from '../utils/layout/compute-max-text-metrics';
+import resolveStyle from '../utils/style/resolve-style';
+import AbstractChartModifier from './abstract-chart';
+
+/**
+ * Normalizes `dimension` into an object with a `property` and `label`.
+ */
+const toDimension = (dimension) =>
+  typeof dimension === 'object'
+    ? {
+        ...dimension,
+        label: dimension.label ?? dimension.property,
+      }
+    : {
+        property: dimension,
+        label: dimension,
+      };
+
+/**
+ * Renders rows of data across many dimensions as lines crossing a parallel
+ * axis for each dimension. Each axis can be brushed to highlight the rows with
+ * values within the brushed intervals.
+ *
+ * # Arguments
+ *
+ * ## Data
+ *
+ * `data`
+ * : An array of data objects, where each data object is a row with a property
+ *   for each dimension
+ *
+ * `series`
+ * : An array of data series, where each series has a label defined using the
+ *   `label` or `name` property and rows contained in the `data` property (see
+ *   `data` argument above for the format). All series are rendered on the same
+ *   axes in a different color. When the `series` argument is present, the
+ *   `data` argument is ignored.
+ *
+ * `dimensions`
+ * : An array of the dimensions to render as axes, in order, where each
+ *   dimension is either the name of a property within the data or an object
+ *   with a `property`, an optional `label` and an optional `min` and `max` for
+ *   the axis. Dimensions with string values are rendered as category axes.
+ *
+ *
+ * ## Chart Layout
+ *
+ * `chartStyle`
+ * : CSS properties for the entire chart including background color, border,
+ *   margins and padding.
+ *
+ * `chartTitleStyle`
+ * : CSS properties for the title for the entire chart including color, font,
+ *   background color, border and alignment.
+ *
+ * `cellStyle`
+ * : CSS properties defining the style for the plot
+ *
+ *
+ * ## Plots
+ *
+ * `colorMap`
+ * : A hash that maps series names to the colors to use for the rows in those
+ *   series
+ *
+ * `lineWidth`
+ * : The width of the line for each row in pixels. Defaults to 1.
+ *
+ * `lineOpacity`
+ * : The opacity of the line for each row. Defaults to 0.5.
+ *
+ * `inactiveOpacity`
+ * : The opacity of the line for rows outside of the brushed intervals.
+ *   Defaults to 0.05.
+ *
+ * `axisStyle`
+ * : CSS properties defining the style of the axis names and labels
+ *
+ *
+ * ## Formatting
+ *
+ * `valueAxisFormatter`
+ * : The function used to format the labels of the numeric axes. Passed the
+ *   value to be formatted and the property of the dimension for the axis.
+ *
+ *
+ * ## Legend
+ *
+ * `legend`
+ * : Whether and where to display a legend of the series: `none`, `top`,
+ *   `bottom`, `left`, `right`, `topLeft`, `topRight`, `bottomLeft`,
+ *   `bottomRight`, `leftTop`, `leftBottom`, `rightTop`, `rightBottom`
+ *
+ * `legendOrientation`
+ * : Which orientation to render the legend: `horizontal`, `vertical` or `auto`
+ *   (default)
+ *
+ * `legendStyle`
+ * : CSS properties for the chart legend including color, font, background
+ *   color, border and alignment.
+ *
+ *
+ * ## Tooltips
+ *
+ * `tooltipFormatter`
+ * : The function used to generate the tool tip
+ *
+ *
+ * ## Events
+ *
+ * `onBrush`
+ * : Called when the intervals brushed on the axes change. Passed an array of
+ *   the rows from the chart data within all brushed intervals, or `null` when
+ *   no axis is brushed.
+ */
+export default class ParallelCoordinatesChartModifier extends AbstractChartModifier {
+  get defaultStyles() {
+    const styles = super.defaultStyles;
+
+    return {
+      ...styles,
+      axis: {
+        font: 'normal 12px Montserrat,sans-serif',
+        margin: 8,
+      },
+    };
+  }
+
+  /**
+   * Resolves the original row for the `data` of `params`.
+   */
+  formatTooltipParams(params, data) {
+    return {
+      ...params,
+      data: data.dataset[params.seriesIndex]?.data[params.dataIndex],
+    };
+  }
+
+  configureChart(args, chart) {
+    const { tooltipFormatter, onBrush } = args;
+    const { config, context } = this.buildLayout(args, chart);
+
+    chart.setOption(
+      {
+        ...config,
+        tooltip: {
+          trigger: 'item',
+          ...(tooltipFormatter && {
+            formatter: (params) =>
+              tooltipFormatter(
+                this.formatTooltipParams(params, context.data),
+                context.data.dataset
+              ),
+          }),
+        },
+      },
+      {
+        notMerge: true,
+      }
+    );
+
+    chart.handle('axisareaselected', () => {
+      if (!onBrush) {
+        return;
+      }
+
+      const seriesModels = chart.getModel().getSeries();
+      const isBrushed =
+        seriesModels[0]?.coordinateSystem.hasAxisBrushed() ?? false;
+
+      // The series rendered are in the same order as the series in the data
+      onBrush(
+        isBrushed
+          ? seriesModels.flatMap((model, index) =>
+              model
+                .getRawIndicesByActiveState('active')
+                .map((dataIndex) => context.data.dataset[index].data[dataIndex])
+            )
+          : null
+      );
+    });
+  }
+
+  /**
+   * Generates the `data` section of the context used to construct this chart.
+   *
+   * All series are rendered on the same axes within a single cell, so the
+   * context contains a single series whose data are the series to render. The
+   * original series are kept in `dataset` for resolving tooltips and brushing,
+   * along with the normalized `dimensions`.
+   */
+  createContextData(args, chart) {
+    const context = super.createContextData(args, chart);
+    const dataset = context.series.map((info) => ({
+      ...info,
+      data: info.data ?? [],
+    }));
+    const dimensions = (args.dimensions ?? []).map(toDimension);
+
+    return {
+      series: [
+        {
+          data: dataset,
+        },
+      ],
+      dataset,
+      dimensions: dimensions.map((dimension) => {
+        const values = dataset.flatMap((info) =>
+          info.data.map((row) => row[dimension.property])
+        );
+        const numbers = values.filter(Number.isFinite);
+
+        return {
+          ...dimension,
+          categories: values.some((value) => typeof value === 'string')
+            ? uniq(values.filter((value) => value != null).map(String))
+            : undefined,
+          minimum: numbers.length
+            ? numbers.reduce((minimum, value) => Math.min(minimum, value))
+            : 0,
+          maximum: numbers.length
+            ? numbers.reduce((maximum, value) => Math.max(maximum, value))
+            : 0,
+        };
+      }),
+    };
+  }
+
+  /**
+   * Returns the labels of the series as the labels for the legend.
+   */
+  getLegendLabels(series) {
+    return series[0].data
+      .map((info) => info.label ?? info.name)
+      .filter((label) => label != null);
+  }
+
+  /**
+   * Formats a value on the axis for `dimension`.
+   */
+  formatAxisValue(args, value, dimension) {
+    const { valueAxisFormatter = echarts.format.addCommas } = args;
+
+    return dimension.categories
+      ? `${value}`
+      : valueAxisFormatter(value, dimension.property);
+  }
+
+  /**
+   * Generates the plot config for the parallel coordinates.
+   */
+  generatePlotConfig(series, layout, context) {
+    const { args, styles, data } = context;
+    const { noDataText, colorMap } = args;
+    const { lineWidth = 1, lineOpacity = 0.5 } = args;
+    const { inactiveOpacity = 0.05 } = args;
+    const { dimensions } = data;
+
+    if (!series.data.some((info) => info.data.length) && noDataText) {
+      return undefined;
+    }
+
+    const style = resolveStyle(styles.axis, context.layout);
+    const textStyle = {
+      color: style.color,
+      fontStyle: style.fontStyle,
+      fontWeight: style.fontWeight,
+      fontFamily: style.fontFamily,
+      fontSize: style.fontSize,
+    };
+
+    // Reserve space for the names above the axes and the labels beside them,
+    // estimating the labels of numeric axes from the range of the axis
+    const nameMetrics = computeMaxTextMetrics(
+      dimensions.map((dimension) => dimension.label),
+      style
+    );
+    const labelMetrics = computeMaxTextMetrics(
+      dimensions.flatMap(
+        (dimension) =>
+          dimension.categories ?? [
+            this.formatAxisValue(
+              args,
+              dimension.min ?? dimension.minimum,
+              dimension
+            ),
+            this.formatAxisValue(
+              args,
+              dimension.max ?? dimension.maximum,
+              dimension
+            ),
+          ]
+      ),
+      style
+    );
+    const sideMargin =
+      Math.max(labelMetrics.width, nameMetrics.width / 2) + style.marginLeft;
+    const topMargin = nameMetrics.height + style.marginBottom;
+
+    return {
+      parallel: {
+        left: layout.innerX + sideMargin,
+        top: layout.innerY + topMargin,
+        width: Math.max(0, layout.innerWidth - sideMargin * 2),
+        height: Math.max(
+          0,
+          layout.innerHeight - topMargin - labelMetrics.height / 2
+        ),
+        parallelAxisDefault: {
+          nameLocation: 'end',
+          nameGap: style.marginBottom,
+          nameTextStyle: textStyle,
+          axisLabel: textStyle,
+        },
+      },
+      parallelAxis: dimensions.map((dimension, index) => ({
+        dim: index,
+        name: dimension.label,
+        ...(dimension.categories
+          ? {
+              type: 'category',
+              data: dimension.categories,
+            }
+          : {
+              type: 'value',
+              min: dimension.min ?? 'dataMin',
+              max: dimension.max ?? 'dataMax',
+              axisLabel: {
+                ...textStyle,
+                formatter: (value) =>
+                  this.formatAxisValue(args, value, dimension),
+              },
+            }),
+      })),
+      series: series.data.map((info) => {
+        const label = info.label ?? info.name;
+
+        return {
+          type: 'parallel',
+          name: label,
+          lineStyle: {
+            width: lineWidth,
+            opacity: lineOpacity,
+            ...(colorMap?.[label] && {
+              color: colorMap[label],
+            }),
+          },
+          inactiveOpacity,
+          activeOpacity: 1,
+          emphasis: {
+            lineStyle: {
+              width: lineWidth + 1,
+              opacity: 1,
+            },
+          },
+          data: info.data.map((row) =>
+            dimensions.map((dimension) =>
+              dimension.categories && row[dimension.property] != null
+                ? `${row[dimension.property]}`
+                : row[dimension.property]
+            )
+          ),
+        };
+      }),
+    };
+  }
+
+  /**
+   * Generates text to overlay on each cell of the chart, if any.
+   */
+  generateTextOverlayConfig(series, args, layout, style) {
+    const { noDataText } = args;
+
+    return !series.data.some((info) => info.data.length) && noDataText
+      ? this.generateTextConfig(
+          noDataText,
+          {
+            width: layout.innerWidth,
+            height: layout.innerHeight,
+            x: layout.innerX,
+            y: layout.innerY,
+          },
+          style
+        )
+      : undefined;
+  }
+}
@@ -1,5 +1,133 @@
+import * as echarts from 'echarts';
+import collapseCategories from '../utils/data/collapse-categories';
+import computeMaxTextMetrics from '../utils/layout/compute-max-text-metrics';
+import layoutCells from '../utils/layout/layout-cells';
+import resolveStyle from '../utils/style/resolve-style';
 import AbstractChartModifier from './abstract-chart';
 
+const DEFAULT_OTHER_LABEL = 'Other';
+
+// The gap between the rings of the `nested` layout in pixels
+const NESTED_RING_GAP = 2;
+
+// The distance in pixels a selected slice is offset from the center
+const SELECTED_OFFSET = 10;
+
+// The outer radius of the pie relative to the largest radius that fits within
+// the cell, leaving room for the default labels outside of the pie
+const OUTER_RADIUS = 0.7;
+
+// The lengths in pixels of the segments of the leader lines of outside labels
+const LABEL_LINE_LENGTH = 12;
+const LABEL_LINE_LENGTH2 = 8;
+
+// The smallest outer radius of the pie relative to the largest radius that
+// fits within the cell, so long labels don't shrink the pie to nothing
+const MIN_OUTER_RADIUS = 0.25;
+
+// The inner radius of donuts relative to the outer radius
+const DONUT_INNER_RADIUS = 3 / 7;
+
+/**
+ * Returns the angle in degrees swept clockwise from `startAngle` to `endAngle`,
+ * where the same angles sweep the full circle.
+ */
+const computeSweepAngle = (startAngle, endAngle) =>
+  (((startAngle - endAngle) % 360) + 360) % 360 || 360;
+
+/**
+ * Returns the bounds of the sector of a unit circle swept clockwise from
+ * `startAngle` by `sweepAngle` relative to the center of the circle, where
+ * angles are in degrees counterclockwise from the positive x-axis and y
+ * increases downward, as on the screen.
+ */
+const computeSectorBounds = (startAngle, sweepAngle) => {
+  const endAngle = startAngle - sweepAngle;
+  const angles = [startAngle, endAngle];
+
+  // The sector extends to the edge of the circle at each axis it crosses
+  for (
+    let angle = Math.floor(startAngle / 90) * 90;
+    angle > endAngle;
+    angle -= 90
+  ) {
+    angles.push(angle);
+  }
+
+  const points = [
+    [0, 0],
+    ...angles.map((angle) => [
+      Math.cos((angle * Math.PI) / 180),
+      -Math.sin((angle * Math.PI) / 180),
+    ]),
+  ];
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+
+  return {
+    minX: Math.min(...xs),
+    maxX: Math.max(...xs),
+    minY: Math.min(...ys),
+    maxY: Math.max(...ys),
+  };
+};
+
+/**
+ * Returns the sum of the values in `data`.
+ */
+const computeTotal = (data) =>
+  (data ?? []).reduce(
+    (total, item) => (item.value > 0 ? total + item.value : total),
+    0
+  );
+
+/**
+ * Returns the percent `value` is of `total`, rounded to two decimal places.
+ */
+const computePercent = (value, total) =>
+  total > 0 ? echarts.number.round((value / total) * 100, 2) : 0;
+
+/**
+ * The default formatter for the labels of the slices.
+ */
+const formatSliceLabel = (name) => name;
+
+/**
+ * Appends a hidden item to `data` that fills the part of the circle outside of
+ * the `sweepAngle`, since ECharts always renders pies as full circles.
+ */
+const addSweepFiller = (data, sweepAngle) => {
+  const total = computeTotal(data);
+
+  return sweepAngle >= 360 || !(total > 0)
+    ? data
+    : [
+        ...data,
+        {
+          name: '',
+          value: (total * (360 - sweepAngle)) / sweepAngle,
+          itemStyle: {
+            color: 'none',
+          },
+          label: {
+            show: false,
+          },
+          labelLine: {
+            show: false,
+          },
+          tooltip: {
+            show: false,
+          },
+          emphasis: {
+            disabled: true,
+          },
+          select: {
+            disabled: true,
+          },
+        },
+      ];
+};
+
 // TODO: Import only the required components to keep the bundle size small. See
 //       https://echarts.apache.org/handbook/en/basics/import/ [twl 6.Apr.22]
 
@@ -24,30 +152,292 @@ import AbstractChartModifier from './abstract-chart';
  * : CSS properties defining the style for the titles for individual plots when
  *   rendering more than one series
  *
+ * `layout`
+ * : How to render more than one series: `cells` (default) to render each series
+ *   in its own cell or `nested` to render the series as concentric rings in a
+ *   single cell, with the first series as the innermost ring
+ *
  * `maxColumns`
  * : The maximum number of columns to render when rendering more than one series
  *
+ * `maxCategories`
+ * : The maximum number of slices to render in each pie. When there are more,
+ *   the slices with the smallest totals across all series are collapsed into a
+ *   single slice whose value is the sum of their values, and whose data object
+ *   has the collapsed data objects in its `collapsed` property.
+ *
+ * `otherLabel`
+ * : The name to use for the collapsed slice when `maxCategories` is set.
+ *   Defaults to `Other`.
+ *
  * `onSelect`
  * : Called when an element on a chart is selected
  *
+ * `onCenterChange`
+ * : Called with the centers of the donuts whenever the chart is laid out or a
+ *   slice is hovered over, for rendering content within the hole of each donut.
+ *   Only called for the `donut` and `halfDonut` variants. Each center has the
+ *   `x`, `y`, `width` and `height` of the box around the hole, the `series`,
+ *   `seriesIndex` and `total` of the series within the cell and the
+ *   `hoveredSlice`, if any. For the `nested` layout, the center also has the
+ *   `series`, `seriesIndex` and `total` of each ring in `rings`, and the
+ *   series is that of the ring of the hovered slice or the innermost ring.
+ *
  * `tooltipFormatter`
  * : The function used to generate the tool tip
  *
+ * `sliceLabel`
+ * : Where to render the label of each slice: `none`, `inside` the slice or
+ *   `outside` the slice with a leader line to the slice. The radius of the pie
+ *   shrinks to fit `outside` labels within the cell. Defaults to the labels
+ *   rendered by ECharts outside of a pie of a fixed size.
+ *
+ * `sliceLabelFormatter`
+ * : The function used to format the label of each slice. Passed the name, value
+ *   and percent of the slice. Defaults to the name.
+ *
+ * `sliceLabelStyle`
+ * : CSS properties defining the style of the slice labels, where the margin is
+ *   the distance between `outside` labels and their leader lines
+ *
  * `variant`
- * : Whether to render a `pie` or a `donut`
+ * : Whether to render a `pie`, a `donut`, a `rose` where the radius of each
+ *   slice is determined by its value, or a `halfDonut` across the top half of
+ *   the circle
+ *
+ * `startAngle`
+ * : The angle in degrees at which the first slice starts, measured
+ *   counterclockwise from the 3 o'clock position. Defaults to `180` for the
+ *   `halfDonut` variant and `90` otherwise.
+ *
+ * `endAngle`
+ * : The angle in degrees at which the last slice ends. Slices are rendered
+ *   clockwise from `startAngle` to `endAngle`. Defaults to `0` for the
+ *   `halfDonut` variant and a full circle otherwise. Ignored for the `rose`
+ *   variant, which always renders a full circle.
  */
 export default class PieChartModifier extends AbstractChartModifier {
+  get defaultStyles() {
+    const styles = super.defaultStyles;
+
+    return {
+      ...styles,
+      sliceLabel: {
+        font: 'normal 12px Montserrat,sans-serif',
+        margin: 4,
+      },
+    };
+  }
+
+  /**
+   * Returns whether the variant renders a donut.
+   */
+  isDonutVariant(variant) {
+    return ['donut', 'halfDonut'].includes(variant);
+  }
+
+  /**
+   * Returns the start angle of the pie and the angle it sweeps for `args`.
+   */
+  computeAngles(args) {
+    const { variant } = args;
+    const isHalfDonut = variant === 'halfDonut';
+    const { startAngle = isHalfDonut ? 180 : 90 } = args;
+    const { endAngle = isHalfDonut ? 0 : startAngle } = args;
+
+    return {
+      startAngle,
+      sweepAngle:
+        variant === 'rose' ? 360 : computeSweepAngle(startAngle, endAngle),
+    };
+  }
+
+  /**
+   * Returns the center and the inner and outer radius of the pie, sized to fit
+   * the part of the circle swept by the pie and any `outside` slice labels
+   * within the cell.
+   */
+  computeGeometry(series, layout, context) {
+    const { args, styles } = context;
+    const { variant, sliceLabel } = args;
+    const { startAngle, sweepAngle } = this.computeAngles(args);
+    const bounds = computeSectorBounds(startAngle, sweepAngle);
+    const boundsWidth = bounds.maxX - bounds.minX;
+    const boundsHeight = bounds.maxY - bounds.minY;
+    const maxRadius = Math.min(
+      layout.innerWidth / boundsWidth,
+      layout.innerHeight / boundsHeight
+    );
+    const style = resolveStyle(styles.sliceLabel, context.layout);
+    const labelMetrics =
+      sliceLabel === 'outside'
+        ? computeMaxTextMetrics(this.formatSliceLabels(series, args), style)
+        : undefined;
+    // Reserve space around the pie for the selected offset and the labels
+    // outside of the pie, which extend horizontally from their leader lines
+    const paddingX = labelMetrics
+      ? SELECTED_OFFSET +
+        LABEL_LINE_LENGTH +
+        LABEL_LINE_LENGTH2 +
+        style.marginLeft +
+        labelMetrics.width
+      : SELECTED_OFFSET;
+    const paddingY = labelMetrics
+      ? SELECTED_OFFSET + LABEL_LINE_LENGTH + labelMetrics.height
+      : SELECTED_OFFSET;
+    const outerRadius =
+      sliceLabel == null
+        ? maxRadius * OUTER_RADIUS
+        : Math.max(
+            maxRadius * MIN_OUTER_RADIUS,
+            Math.min(
+              (layout.innerWidth - paddingX * 2) / boundsWidth,
+              (layout.innerHeight - paddingY * 2) / boundsHeight
+            )
+          );
+
+    return {
+      // Center the bounds of the sector, rather than the circle, in the cell
+      center: [
+        layout.innerX +
+          layout.innerWidth / 2 -
+          ((bounds.minX + bounds.maxX) / 2) * outerRadius -
+          0.5,
+        layout.innerY +
+          layout.innerHeight / 2 -
+          ((bounds.minY + bounds.maxY) / 2) * outerRadius -
+          0.5,
+      ],
+      innerRadius: this.isDonutVariant(variant)
+        ? outerRadius * DONUT_INNER_RADIUS
+        : 0,
+      outerRadius,
+    };
+  }
+
+  /**
+   * Returns the formatted labels for the slices of `series` that are rendered
+   * outside of the pie, which for the `nested` layout are those of the
+   * outermost ring.
+   */
+  formatSliceLabels(series, args) {
+    const { sliceLabelFormatter = formatSliceLabel } = args;
+    const data =
+      (series.rings
+        ? series.rings[series.rings.length - 1].data
+        : series.data) ?? [];
+    const total = computeTotal(data);
+
+    return data.map((item) =>
+      String(
+        sliceLabelFormatter(
+          item.name,
+          item.value,
+          computePercent(item.value, total)
+        )
+      )
+    );
+  }
+
+  /**
+   * Generates the `label` and `labelLine` config for the slices of a series
+   * with the `data`.
+   */
+  generateSliceLabelConfig(data, context) {
+    const { args, styles } = context;
+    const { sliceLabel } = args;
+    const { sliceLabelFormatter = formatSliceLabel } = args;
+    const style = resolveStyle(styles.sliceLabel, context.layout);
+    const total = computeTotal(data);
+
+    // Use the default labels of ECharts
+    if (sliceLabel == null) {
+      return {};
+    }
+
+    if (sliceLabel === 'none') {
+      return {
+        label: {
+          show: false,
+        },
+        labelLine: {
+          show: false,
+        },
+      };
+    }
+
+    return {
+      label: {
+        show: true,
+        position: sliceLabel === 'inside' ? 'inside' : 'outside',
+        formatter: (params) =>
+          sliceLabelFormatter(
+            params.name,
+            params.value,
+            computePercent(params.value, total)
+          ),
+        distanceToLabelLine: style.marginLeft,
+        color: style.color,
+        fontStyle: style.fontStyle,
+        fontWeight: style.fontWeight,
+        fontFamily: style.fontFamily,
+        fontSize: style.fontSize,
+      },
+      labelLine: {
+        show: sliceLabel !== 'inside',
+        length: LABEL_LINE_LENGTH,
+        length2: LABEL_LINE_LENGTH2,
+      },
+    };
+  }
+
+  /**
+   * Resolves the index of the series in the dataset for the `params` and the
+   * percent of the slice within the slices of the series, excluding the item
+   * used to fill the part of the circle not swept by the pie.
+   */
+  formatTooltipParams(args, params, elementType, dataset) {
+    // The series ID is the index of the series in the dataset, since series
+    // without data are not rendered
+    const seriesIndex = parseInt(params.seriesId);
+    const { sweepAngle } = this.computeAngles(args);
+    const total = computeTotal(dataset[seriesIndex]?.data);
+
+    return {
+      ...params,
+      seriesIndex,
+      ...(params.data?.collapsed && {
+        collapsed: params.data.collapsed,
+      }),
+      ...(sweepAngle < 360 &&
+        total > 0 && {
+          percent: computePercent(params.value, total),
+        }),
+    };
+  }
+
   configureChart(args, chart) {
-    const allSeries = args.series ?? [{ data: args.data }];
-    const { tooltipFormatter, onSelect } = args;
-    const { config } = this.buildLayout(args, chart);
-
-    chart.setOption({
-      ...config,
-      tooltip: {
-        formatter: tooltipFormatter,
+    const { tooltipFormatter, onSelect, onCenterChange } = args;
+    const { config, context } = this.buildLayout(args, chart);
+    const { dataset } = context.data;
+
+    chart.setOption(
+      {
+        ...config,
+        tooltip: {
+          ...(tooltipFormatter && {
+            formatter: (params) =>
+              tooltipFormatter(
+                this.formatTooltipParams(args, params, 'itemTooltip', dataset),
+                dataset
+              ),
+          }),
+        },
       },
-    });
+      {
+        notMerge: true,
+      }
+    );
 
     chart.handle('selectchanged', (event) => {
       const { fromAction, fromActionPayload, isFromClick } = event;
@@ -56,10 +446,10 @@ export default class PieChartModifier extends AbstractChartModifier {
         return;
       }
 
-      const seriesIndex = fromActionPayload.seriesIndex;
+      const seriesConfig = config.series[fromActionPayload.seriesIndex];
       const dataIndex = fromActionPayload.dataIndexInside;
-      const series = allSeries[seriesIndex];
-      const name = series.data[dataIndex] ? series.data[dataIndex].name : null;
+      const series = dataset[parseInt(seriesConfig?.id)];
+      const name = series?.data[dataIndex] ? series.data[dataIndex].name : null;
 
       if (name) {
         chart.dispatchAction({
@@ -70,36 +460,216 @@ export default class PieChartModifier extends AbstractChartModifier {
 
       onSelect && onSelect(fromAction === 'select' ? name : null);
     });
+
+    if (onCenterChange && this.isDonutVariant(args.variant)) {
+      const centers = this.computeCenters(context);
+
+      onCenterChange(centers);
+
+      chart.handle('mouseover', (params) => {
+        const { seriesIndex, percent, color } = this.formatTooltipParams(
+          args,
+          params,
+          'center',
+          dataset
+        );
+        const item = dataset[seriesIndex]?.data[params.dataIndex];
+        // The nested layout renders all series within the first cell
+        const cellIndex = context.data.series[0].rings ? 0 : seriesIndex;
+
+        onCenterChange(
+          centers.map((center) =>
+            center.index === cellIndex
+              ? {
+                  ...center,
+                  // Describe the ring of the hovered slice in nested layouts
+                  ...center.rings?.[seriesIndex],
+                  // The item filling the part of the circle not swept by the
+                  // pie isn't in the data, so is never a hovered slice
+                  hoveredSlice: item && {
+                    label: item.name,
+                    value: item.value,
+                    percent,
+                    color,
+                    data: item,
+                    seriesIndex,
+                  },
+                }
+              : center
+          )
+        );
+      });
+      chart.handle('mouseout', () => onCenterChange(centers));
+    } else {
+      chart.off('mouseover');
+      chart.off('mouseout');
+      onCenterChange && onCenterChange([]);
+    }
+  }
+
+  /**
+   * Computes the box around the hole of the donut within each cell that has a
+   * plot, along with the series rendered within the cell and its total, or the
+   * series and total of each ring for the `nested` layout.
+   */
+  computeCenters(context) {
+    const { args, data } = context;
+    const { noDataText } = args;
+    const { startAngle, sweepAngle } = this.computeAngles(args);
+    const bounds = computeSectorBounds(startAngle, sweepAngle);
+
+    return layoutCells(context, data.series, (info, cell) => {
+      if ((!info.data || info.data.length == 0) && noDataText) {
+        return undefined;
+      }
+
+      const { center, innerRadius } = this.computeGeometry(info, cell, context);
+      const toSeriesInfo = (seriesIndex) => ({
+        series: data.dataset[seriesIndex],
+        seriesIndex,
+        total: computeTotal(data.dataset[seriesIndex]?.data),
+      });
+
+      return {
+        index: cell.index,
+        x: center[0] + bounds.minX * innerRadius,
+        y: center[1] + bounds.minY * innerRadius,
+        width: (bounds.maxX - bounds.minX) * innerRadius,
+        height: (bounds.maxY - bounds.minY) * innerRadius,
+        ...toSeriesInfo(info.rings ? 0 : cell.index),
+        // The rings of the nested layout are the series of the dataset
+        ...(info.rings && {
+          rings: info.rings.map((ring, index) => toSeriesInfo(index)),
+        }),
+        hoveredSlice: null,
+      };
+    }).filter(Boolean);
+  }
+
+  /**
+   * Generates the `data` section of the context used to construct this chart.
+   *
+   * When using the `nested` layout, all series are rendered within a single
+   * cell, so the context contains a single series whose data are the data of
+   * all series and whose `rings` are the series to render. The original series
+   * are kept in `dataset` for resolving tooltips and selections.
+   */
+  createContextData(args, chart) {
+    const context = super.createContextData(args, chart);
+    const { maxCategories, otherLabel = DEFAULT_OTHER_LABEL } = args;
+    const dataset = collapseCategories(
+      context.series,
+      maxCategories,
+      otherLabel,
+      'name',
+      'value'
+    );
+
+    return {
+      ...context,
+      series: dataset,
+      ...(args.layout === 'nested' && {
+        series: [
+          {
+            data: dataset.flatMap((info) => info.data ?? []),
+            rings: dataset,
+          },
+        ],
+      }),
+      dataset,
+    };
   }
 
   /**
    * Generates the plot config for a single plot on this chart.
    */
   generatePlotConfig(series, layout, context) {
-    const { variant, noDataText } = context.args;
+    const { args } = context;
+    const { variant, noDataText } = args;
+    const { startAngle, sweepAngle } = this.computeAngles(args);
+    const { center, innerRadius, outerRadius } = this.computeGeometry(
+      series,
+      layout,
+      context
+    );
+    const baseConfig = {
+      type: 'pie',
+      center,
+      startAngle,
+      selectedOffset: SELECTED_OFFSET,
+      ...(variant === 'rose' && {
+        roseType: 'area',
+      }),
+      // if this is changed, update the select handler in `configureChart`
+      selectedMode: 'single',
+    };
 
-    return (!series.data || series.data.length == 0) && noDataText
-      ? undefined
-      : {
-          series: [
-            {
-              type: 'pie',
-              ...(variant === 'donut' && {
-                radius: [
-                  (layout.innerHeight * 0.3) / 2,
-                  (layout.innerHeight * 0.7) / 2,
-                ],
-              }),
-              center: [
-                layout.innerX + layout.innerWidth / 2 - 0.5,
-                layout.innerY + layout.innerHeight / 2 - 0.5,
-              ],
-              // if this is changed, update the select handler below
-              selectedMode: 'single',
-              data: series.data,
+    if ((!series.data || series.data.length == 0) && noDataText) {
+      return undefined;
+    }
+
+    if (series.rings) {
+      return {
+        series: this.generateNestedSeriesConfig(
+          baseConfig,
+          series.rings,
+          [innerRadius, outerRadius],
+          context
+        ),
+      };
+    }
+
+    return {
+      series: [
+        {
+          ...baseConfig,
+          // Used to look up the series, since series without data are skipped
+          id: `${layout.index}`,
+          name: series.label ?? series.name,
+          radius: [innerRadius, outerRadius],
+          ...this.generateSliceLabelConfig(series.data, context),
+          data: addSweepFiller(series.data, sweepAngle),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Generates the config for the series of the `nested` layout, dividing the
+   * `radius` of the pie evenly between the `rings`.
+   */
+  generateNestedSeriesConfig(baseConfig, rings, radius, context) {
+    const { sliceLabel } = context.args;
+    const { sweepAngle } = this.computeAngles(context.args);
+    const [innerRadius, outerRadius] = radius;
+    const ringWidth = (outerRadius - innerRadius) / rings.length;
+
+    return rings.map((ring, index) => {
+      const isOutermost = index === rings.length - 1;
+
+      return {
+        ...baseConfig,
+        // Used to look up the series in the dataset
+        id: `${index}`,
+        name: ring.label ?? ring.name,
+        radius: [
+          innerRadius + ringWidth * index + (index > 0 ? NESTED_RING_GAP : 0),
+          innerRadius + ringWidth * (index + 1),
+        ],
+        ...this.generateSliceLabelConfig(ring.data ?? [], context),
+        // Labels outside of the inner rings would overlap the outer rings
+        ...(!isOutermost &&
+          sliceLabel !== 'inside' && {
+            label: {
+              show: false,
+            },
+            labelLine: {
+              show: false,
             },
-          ],
-        };
+          }),
+        data: addSweepFiller(ring.data ?? [], sweepAngle),
+      };
+    });
   }
 
   /**
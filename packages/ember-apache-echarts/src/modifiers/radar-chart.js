@@ -0,0 +1,342 @@
+import * as echarts from 'echarts';
+import getUniqueDatasetValues from '../utils/data/get-unique-dataset-values';
+import computeMaxTextMetrics from '../utils/layout/compute-max-text-metrics';
+import resolveStyle from '../utils/style/resolve-style';
+import AbstractChartModifier from './abstract-chart';
+
+const DEFAULT_CATEGORY_PROPERTY = 'name';
+const DEFAULT_VALUE_PROPERTY = 'value';
+
+// The space between the radar and the indicator names
+const INDICATOR_NAME_GAP = 8;
+
+/**
+ * Returns the maximum value of `values` rounded up to a "nice" number, so the
+ * split lines of the radar fall on evenly distributed values.
+ */
+const computeNiceMax = (values) =>
+  echarts.number.nice(Math.max(0, ...values.filter((value) => value != null)));
+
+/**
+ * Renders a radar chart with one indicator per category and one polygon per
+ * series.
+ *
+ * # Arguments
+ *
+ * ## Data
+ *
+ * `data`
+ * : An array of data objects, where each data object has a category property
+ *   (e.g., `name`) and a value property (e.g., `value`).
+ *
+ * `series`
+ * : An array of data series, where each series has a label defined using the
+ *   `label` or `name` property and data contained in the `data` property (see
+ *   `data` argument above for the format). Each series is rendered as its own
+ *   polygon. When the `series` argument is present, the `data` argument is
+ *   ignored.
+ *
+ * `categoryProperty`
+ * : The name of the property within the data to use as the category for each
+ *   data point. Each unique category becomes an indicator on the radar.
+ *
+ * `valueProperty`
+ * : The name of the property within the data to use as the value for each data
+ *   point.
+ *
+ *
+ * ## Chart Layout
+ *
+ * `chartStyle`
+ * : CSS properties for the entire chart including background color, border,
+ *   margins and padding.
+ *
+ * `chartTitleStyle`
+ * : CSS properties for the title for the entire chart including color, font,
+ *   background color, border and alignment.
+ *
+ * `cellStyle`
+ * : CSS properties defining the style for the plot
+ *
+ *
+ * ## Plots
+ *
+ * `shape`
+ * : The shape of the radar: `polygon` (default) or `circle`
+ *
+ * `colorMap`
+ * : A hash that maps series names to the colors to use for the polygons of
+ *   those series
+ *
+ * `indicatorStyle`
+ * : CSS properties defining the style for the names of the indicators
+ *
+ *
+ * ## Axes
+ *
+ * `valueAxisScale`
+ * : Whether to use a shared maximum for all indicators that accounts for the
+ *   data across all categories, or use a separate maximum for each indicator
+ *   that only uses the data for that category. Valid values are: `shared`,
+ *   `separate` (default)
+ *
+ * `valueAxisMax`
+ * : The maximum value of every indicator. Defaults to the data maximum rounded
+ *   up so the split lines are evenly distributed.
+ *
+ * `valueAxisFormatter`
+ * : The function used to format the values in the tooltip. Passed the value
+ *   to be formatted and the type of element the value is being formatted for
+ *   (`itemTooltip`).
+ *
+ *
+ * ## Legend
+ *
+ * `legend`
+ * : Whether and where to display a legend: `none`, `top`, `bottom`, `left`,
+ *   `right`, `topLeft`, `topRight`, `bottomLeft`, `bottomRight`, `leftTop`,
+ *   `leftBottom`, `rightTop`, `rightBottom`
+ *
+ * `legendOrientation`
+ * : Which orientation to render the legend: `horizontal`, `vertical` or `auto`
+ *   (default), where `auto` renders the legend horizontally when positioned
+ *   on the top or bottom of the chart, and vertically when positioned on the
+ *   left or right of the chart
+ *
+ * `legendStyle`
+ * : CSS properties for the chart legend including color, font, background
+ *   color, border and alignment.
+ *
+ *
+ * ## Tooltips
+ *
+ * `tooltipFormatter`
+ * : The function used to generate the tool tip
+ */
+export default class RadarChartModifier extends AbstractChartModifier {
+  get defaultStyles() {
+    const styles = super.defaultStyles;
+
+    return {
+      ...styles,
+      indicator: {
+        font: 'normal 12px Montserrat,sans-serif',
+        color: '#464646',
+      },
+    };
+  }
+
+  /**
+   * Resolves each value within `params` to its indicator and original data
+   * item, formatting the value when a value formatter is defined.
+   */
+  formatTooltipParams(args, params, elementType, context) {
+    const { valueAxisFormatter = echarts.format.addCommas } = args;
+    const { categoryProperty = DEFAULT_CATEGORY_PROPERTY } = args;
+    const { indicators, dataset } = context.data;
+    const series = dataset[params.dataIndex];
+
+    return {
+      ...params,
+      // Each polygon is a data item of the single radar series
+      seriesIndex: params.dataIndex,
+      values: indicators.map((indicator, index) => ({
+        category: indicator,
+        value:
+          params.value[index] != null
+            ? valueAxisFormatter(params.value[index], elementType)
+            : undefined,
+        data: series.data.find((item) => item[categoryProperty] === indicator),
+      })),
+    };
+  }
+
+  configureChart(args, chart) {
+    const { tooltipFormatter } = args;
+    const { config, context } = this.buildLayout(args, chart);
+
+    chart.setOption(
+      {
+        ...config,
+        tooltip: {
+          trigger: 'item',
+          ...(tooltipFormatter && {
+            formatter: (params) =>
+              tooltipFormatter(
+                this.formatTooltipParams(args, params, 'itemTooltip', context),
+                context.data.dataset
+              ),
+          }),
+        },
+      },
+      {
+        notMerge: true,
+      }
+    );
+
+    this.configureLegendInverseSelect(chart);
+  }
+
+  /**
+   * Generates the `data` section of the context used to construct this chart.
+   *
+   * All polygons are rendered on a single radar, so the context contains a
+   * single series whose data are the original series.
+   */
+  createContextData(args, chart) {
+    const context = super.createContextData(args, chart);
+    const { categoryProperty = DEFAULT_CATEGORY_PROPERTY } = args;
+    const dataset = context.series.map((info) => ({
+      ...info,
+      data: info.data ?? [],
+    }));
+
+    return {
+      ...context,
+      indicators: getUniqueDatasetValues(dataset, categoryProperty),
+      series: [{ data: dataset }],
+      dataset,
+    };
+  }
+
+  /**
+   * Returns the labels for the legend.
+   */
+  getLegendLabels(series) {
+    // The polygons are contained in a dummy root node
+    return series[0].data.map((info) => info.label ?? info.name);
+  }
+
+  /**
+   * Computes the maximum value for each of the indicators.
+   */
+  computeIndicatorMaxes(values, args) {
+    const { valueAxisScale, valueAxisMax } = args;
+
+    if (typeof valueAxisMax === 'number') {
+      return values[0]?.map(() => valueAxisMax) ?? [];
+    }
+
+    const sharedMax =
+      valueAxisScale === 'shared' ? computeNiceMax(values.flat()) : undefined;
+
+    return (values[0] ?? []).map(
+      (value, index) =>
+        sharedMax ?? computeNiceMax(values.map((row) => row[index]))
+    );
+  }
+
+  /**
+   * Generates the plot config for the radar.
+   */
+  generatePlotConfig(series, layout, context) {
+    const { args, styles, data } = context;
+    const { noDataText, shape = 'polygon', colorMap } = args;
+    const { categoryProperty = DEFAULT_CATEGORY_PROPERTY } = args;
+    const { valueProperty = DEFAULT_VALUE_PROPERTY } = args;
+    const { indicators } = data;
+
+    if (!series.data.some((info) => info.data.length) && noDataText) {
+      return undefined;
+    }
+
+    const style = resolveStyle(styles.indicator, context.layout);
+    const values = series.data.map((info) =>
+      indicators.map(
+        (indicator) =>
+          info.data.find((item) => item[categoryProperty] === indicator)?.[
+            valueProperty
+          ] ?? null
+      )
+    );
+    const maxes = this.computeIndicatorMaxes(values, args);
+    const nameMetrics = computeMaxTextMetrics(
+      indicators.map((indicator) => `${indicator}`),
+      style
+    );
+    const radius = Math.max(
+      0,
+      Math.min(
+        layout.innerWidth / 2 - nameMetrics.width - INDICATOR_NAME_GAP,
+        layout.innerHeight / 2 - nameMetrics.height - INDICATOR_NAME_GAP
+      )
+    );
+
+    return {
+      radar: [
+        {
+          center: [
+            layout.innerX + layout.innerWidth / 2,
+            layout.innerY + layout.innerHeight / 2,
+          ],
+          radius,
+          shape,
+          nameGap: INDICATOR_NAME_GAP,
+          axisName: {
+            color: style.color,
+            fontStyle: style.fontStyle,
+            fontWeight: style.fontWeight,
+            fontFamily: style.fontFamily,
+            fontSize: style.fontSize,
+          },
+          indicator: indicators.map((indicator, index) => ({
+            name: indicator,
+            min: 0,
+            max: maxes[index],
+          })),
+        },
+      ],
+      series: [
+        {
+          type: 'radar',
+          emphasis: {
+            focus: 'self',
+          },
+          data: series.data.map((info, index) => {
+            const color = colorMap?.[info.label ?? info.name];
+
+            return {
+              name: info.label ?? info.name,
+              value: values[index],
+              areaStyle: {
+                opacity: 0.1,
+              },
+              ...(color && {
+                itemStyle: {
+                  color,
+                },
+                lineStyle: {
+                  color,
+                },
+                areaStyle: {
+                  color,
+                  opacity: 0.1,
+                },
+              }),
+            };
+          }),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Generates text to overlay on each cell of the chart, if any.
+   */
+  generateTextOverlayConfig(series, args, layout, style) {
+    const { noDataText } = args;
+
+    return !series.data.some((info) => info.data.length) && noDataText
+      ? this.generateTextConfig(
+          noDataText,
+          {
+            width: layout.innerWidth,
+            height: layout.innerHeight,
+            x: layout.innerX,
+            y: layout.innerY,
+          },
+          style
+        )
+      : undefined;
+  }
+}
@@ -0,0 +1,262 @@
+import uniq from 'lodash/uniq';
+import * as echarts from 'echarts';
+import computeMaxTextMetrics from '../utils/layout/compute-max-text-metrics';
+import resolveStyle from '../utils/style/resolve-style';
+import AbstractChartModifier from './abstract-chart';
+
+const DEFAULT_SOURCE_PROPERTY = 'source';
+const DEFAULT_TARGET_PROPERTY = 'target';
+const DEFAULT_VALUE_PROPERTY = 'value';
+
+/**
+ * Renders a flow between nodes as a sankey diagram.
+ *
+ * # Arguments
+ *
+ * ## Data
+ *
+ * `links`
+ * : An array of link objects, where each link object has a source property
+ *   (e.g., `source`), a target property (e.g., `target`) and a value property
+ *   (e.g., `value`). The source and target are the names of the nodes.
+ *
+ * `data`
+ * : An alias for `links`, for passing a flat array of rows. When the `links`
+ *   argument is present, the `data` argument is ignored.
+ *
+ * `nodes`
+ * : An array of nodes, where each node is either the name of the node or an
+ *   object with a `name` property. Defaults to the unique sources and targets
+ *   of the links.
+ *
+ * `sourceProperty`
+ * : The name of the property within the links to use as the source
+ *
+ * `targetProperty`
+ * : The name of the property within the links to use as the target
+ *
+ * `valueProperty`
+ * : The name of the property within the links to use as the value
+ *
+ *
+ * ## Chart Layout
+ *
+ * `chartStyle`
+ * : CSS properties for the entire chart including background color, border,
+ *   margins and padding.
+ *
+ * `chartTitleStyle`
+ * : CSS properties for the title for the entire chart including color, font,
+ *   background color, border and alignment.
+ *
+ * `cellStyle`
+ * : CSS properties defining the style for the plot
+ *
+ *
+ * ## Plots
+ *
+ * `orientation`
+ * : Whether the flow is `horizontal` (left to right, default) or `vertical`
+ *   (top to bottom)
+ *
+ * `nodeAlign`
+ * : How to align nodes without outgoing or incoming links: `justify`
+ *   (default), `left` or `right`
+ *
+ * `nodeWidth`
+ * : The width of each node in pixels. Defaults to 20.
+ *
+ * `nodeGap`
+ * : The gap between nodes in the same column in pixels. Defaults to 8.
+ *
+ * `nodeLabelStyle`
+ * : CSS properties defining the style of the node labels
+ *
+ * `valueFormatter`
+ * : The function used to format the values of nodes and links in tooltips.
+ *   Passed the value to be formatted and the type of tooltip (`nodeTooltip` or
+ *   `linkTooltip`).
+ *
+ *
+ * ## Tooltips
+ *
+ * `tooltipFormatter`
+ * : The function used to generate the tool tip
+ */
+export default class SankeyChartModifier extends AbstractChartModifier {
+  get defaultStyles() {
+    const styles = super.defaultStyles;
+
+    return {
+      ...styles,
+      nodeLabel: {
+        font: 'normal 12px Montserrat,sans-serif',
+        margin: 5,
+      },
+    };
+  }
+
+  /**
+   * Formats the `value` within `params` using the value formatter and resolves
+   * the original node or link for the `data`. For links, the names of the
+   * `source` and `target` nodes are added as well.
+   */
+  formatTooltipParams(args, params, data) {
+    const { valueFormatter = echarts.format.addCommas } = args;
+    const isLink = params.dataType === 'edge';
+
+    return {
+      ...params,
+      ...(isLink && {
+        source: params.data.source,
+        target: params.data.target,
+      }),
+      data: isLink
+        ? data.links[params.dataIndex]
+        : data.series[0].data[params.dataIndex],
+      value: valueFormatter(
+        params.value,
+        isLink ? 'linkTooltip' : 'nodeTooltip'
+      ),
+    };
+  }
+
+  configureChart(args, chart) {
+    const { tooltipFormatter } = args;
+    const { config, context } = this.buildLayout(args, chart);
+
+    chart.setOption(
+      {
+        ...config,
+        tooltip: {
+          trigger: 'item',
+          ...(tooltipFormatter && {
+            formatter: (params) =>
+              tooltipFormatter(
+                this.formatTooltipParams(args, params, context.data)
+              ),
+          }),
+        },
+      },
+      {
+        notMerge: true,
+      }
+    );
+  }
+
+  /**
+   * Generates the `data` section of the context used to construct this chart.
+   *
+   * The nodes and links are rendered within a single cell, so the context
+   * contains a single series whose data are the nodes. The original links are
+   * kept in `links` for resolving tooltips.
+   */
+  createContextData(args) {
+    const { sourceProperty = DEFAULT_SOURCE_PROPERTY } = args;
+    const { targetProperty = DEFAULT_TARGET_PROPERTY } = args;
+    const { valueProperty = DEFAULT_VALUE_PROPERTY } = args;
+    const rows = args.links ?? args.data ?? [];
+    const links = rows.map((link) => ({
+      source: link[sourceProperty],
+      target: link[targetProperty],
+      value: link[valueProperty],
+    }));
+    const nodes = args.nodes
+      ? args.nodes.map((node) =>
+          typeof node === 'object' ? node : { name: node }
+        )
+      : uniq(links.flatMap(({ source, target }) => [source, target])).map(
+          (name) => ({ name })
+        );
+
+    return {
+      series: [{ data: nodes, links }],
+      links: rows,
+    };
+  }
+
+  /**
+   * Generates the plot config for the sankey diagram.
+   */
+  generatePlotConfig(series, layout, context) {
+    const { args, styles } = context;
+    const { noDataText, orientation, nodeAlign = 'justify' } = args;
+    const { nodeWidth = 20, nodeGap = 8 } = args;
+
+    if (series.links.length == 0 && noDataText) {
+      return undefined;
+    }
+
+    const style = resolveStyle(styles.nodeLabel, context.layout);
+    const isVertical = orientation === 'vertical';
+    const labelMetrics = computeMaxTextMetrics(
+      series.data.map((node) => `${node.name}`),
+      style
+    );
+
+    return {
+      series: [
+        {
+          type: 'sankey',
+          left: layout.innerX,
+          top: layout.innerY,
+          // Reserve space for the labels of the last nodes in the flow
+          width: isVertical
+            ? layout.innerWidth
+            : Math.max(
+                0,
+                layout.innerWidth - labelMetrics.width - style.marginLeft
+              ),
+          height: isVertical
+            ? Math.max(
+                0,
+                layout.innerHeight - labelMetrics.height - style.marginTop
+              )
+            : layout.innerHeight,
+          orient: isVertical ? 'vertical' : 'horizontal',
+          nodeAlign,
+          nodeWidth,
+          nodeGap,
+          emphasis: {
+            focus: 'adjacency',
+          },
+          label: {
+            position: isVertical ? 'bottom' : 'right',
+            distance: isVertical ? style.marginTop : style.marginLeft,
+            color: style.color,
+            fontStyle: style.fontStyle,
+            fontWeight: style.fontWeight,
+            fontFamily: style.fontFamily,
+            fontSize: style.fontSize,
+          },
+          lineStyle: {
+            color: 'gradient',
+            opacity: 0.4,
+          },
+          data: series.data,
+          links: series.links,
+        },
+      ],
+    };
+  }
+
+  /**
+   * Generates text to overlay on each cell of the chart, if any.
+   */
+  generateTextOverlayConfig(series, args, layout, style) {
+    const { noDataText } = args;
+
+    return series.links.length == 0 && noDataText
+      ? this.generateTextConfig(
+          noDataText,
+          {
+            width: layout.innerWidth,
+            height: layout.innerHeight,
+            x: layout.innerX,
+            y: layout.innerY,
+          },
+          style
+        )
+      : undefined;
+  }
+}
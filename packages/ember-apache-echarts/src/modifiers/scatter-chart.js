@@ -0,0 +1,481 @@
+import * as echarts from 'echarts';
+import computeValueRange from '../utils/data/compute-value-range';
+import computeMaxTextMetrics from '../utils/layout/compute-max-text-metrics';
+import computeTextMetrics from '../utils/layout/compute-text-metrics';
+import resolveStyle from '../utils/style/resolve-style';
+import AbstractChartModifier from './abstract-chart';
+
+const DEFAULT_CATEGORY_PROPERTY = 'name';
+const DEFAULT_X_PROPERTY = 'x';
+const DEFAULT_Y_PROPERTY = 'y';
+const DEFAULT_MIN_BUBBLE_SIZE = 6;
+const DEFAULT_MAX_BUBBLE_SIZE = 40;
+
+const formatValue = (formatter, value, elementType) =>
+  formatter ? formatter(value, elementType) : value;
+
+/**
+ * Renders one or more scatter or bubble charts.
+ *
+ * # Arguments
+ *
+ * ## Data
+ *
+ * `data`
+ * : An array of data objects, where each data object has a category property
+ *   (e.g., `name`) used to label the item, an X value property (e.g., `x`), a
+ *   Y value property (e.g., `y`) and an optional size property.
+ *
+ * `series`
+ * : An array of data series, where each series has a label defined using the
+ *   `label` or `name` property and data contained in the `data` property (see
+ *   `data` argument above for the format). When the `series` argument is
+ *   present, the `data` argument is ignored.
+ *
+ * `categoryProperty`
+ * : The name of the property within the data to use as the label for each
+ *   data point. Defaults to `name`.
+ *
+ * `xProperty`, `yProperty`
+ * : The names of the properties within the data to use as the X and Y values
+ *   for each data point. Default to `x` and `y`, respectively.
+ *
+ * `sizeProperty`
+ * : The name of the property within the data to use for the size of each data
+ *   point. When set, the chart is rendered as a bubble chart.
+ *
+ *
+ * ## Chart Layout
+ *
+ * `chartStyle`
+ * : CSS properties for the entire chart including background color, border,
+ *   margins and padding.
+ *
+ * `chartTitleStyle`
+ * : CSS properties for the title for the entire chart including color, font,
+ *   background color, border and alignment.
+ *
+ * `maxColumns`
+ * : The maximum number of columns to render when rendering more than one series
+ *
+ *
+ * ## Plots
+ *
+ * `variant`
+ * : Which style chart to render: `scatter` (default), which renders one plot
+ *   per series, or `groupedScatter`, which renders all series in one plot
+ *
+ * `colorMap`
+ * : A hash that maps series names to the colors to use for the data items in
+ *   those series
+ *
+ * `minBubbleSize`, `maxBubbleSize`
+ * : The minimum and maximum diameter in pixels of the bubbles when
+ *   `sizeProperty` is set. Default to 6 and 40, respectively.
+ *
+ * `symbolSize`
+ * : The diameter in pixels of each data point when `sizeProperty` is not set.
+ *   Defaults to 10.
+ *
+ * `cellStyle`
+ * : CSS properties defining the style for individual plots when rendering more
+ *   than one series
+ *
+ * `cellTitleStyle`
+ * : CSS properties defining the style for the titles for individual plots when
+ *   rendering more than one series
+ *
+ * `plotStyle`
+ * : CSS properties defining the style of the plot (area defined by the axes)
+ *
+ *
+ * ## Axes
+ *
+ * `xAxisScale`, `yAxisScale`
+ * : Whether to use a shared axis for all plots that accounts for the data
+ *   across all series, or use a separate axis for each plot that only uses
+ *   that plot's data. Valid values are: `shared`, `separate` (default)
+ *
+ * `xAxisFormatter`, `yAxisFormatter`, `sizeFormatter`
+ * : Functions used to format the X, Y and size values, respectively. Passed
+ *   the value to be formatted and the type of element the value is being
+ *   formatted for (`axis` or `itemTooltip`).
+ *
+ * `xAxisStyle`, `yAxisStyle`
+ * : CSS properties defining the style for the X and Y axes
+ *
+ *
+ * ## Legend
+ *
+ * `legend`
+ * : Whether and where to display a legend: `none`, `top`, `bottom`, `left`,
+ *   `right`, `topLeft`, `topRight`, `bottomLeft`, `bottomRight`, `leftTop`,
+ *   `leftBottom`, `rightTop`, `rightBottom`
+ *
+ * `legendOrientation`
+ * : Which orientation to render the legend: `horizontal`, `vertical` or `auto`
+ *   (default), where `auto` renders the legend horizontally when positioned
+ *   on the top or bottom of the chart, and vertically when positioned on the
+ *   left or right of the chart
+ *
+ * `legendStyle`
+ * : CSS properties for the chart legend including color, font, background
+ *   color, border and alignment.
+ *
+ *
+ * ## Data Zoom
+ *
+ * `xAxisZoom`, `yAxisZoom`, `xAxisZoomBrush`, `yAxisZoomBrush`,
+ * `xAxisZoomStyle`, `yAxisZoomStyle`
+ * : See `BarChartModifier`
+ *
+ *
+ * ## Tooltips
+ *
+ * `tooltipFormatter`
+ * : The function used to generate the tool tip
+ *
+ *
+ * ## Events
+ *
+ * `onSelect`
+ * : Called when an element on a chart is selected
+ */
+export default class ScatterChartModifier extends AbstractChartModifier {
+  get defaultStyles() {
+    const styles = super.defaultStyles;
+
+    return {
+      ...styles,
+      plot: {},
+      xAxis: {
+        font: 'normal 12px Montserrat,sans-serif',
+        textAlign: 'center',
+        marginTop: 8,
+      },
+      yAxis: {
+        font: 'normal 12px Montserrat,sans-serif',
+        textAlign: 'right',
+        marginRight: 8,
+      },
+    };
+  }
+
+  isGroupedVariant(variant) {
+    return variant === 'groupedScatter';
+  }
+
+  /**
+   * Formats the values within `params` when formatters are defined.
+   */
+  formatTooltipParams(args, params, elementType) {
+    const { xAxisFormatter, yAxisFormatter, sizeFormatter } = args;
+    const [x, y, size] = params.value;
+
+    return {
+      ...params,
+      x: formatValue(xAxisFormatter, x, elementType),
+      y: formatValue(yAxisFormatter, y, elementType),
+      size: size != null ? formatValue(sizeFormatter, size, elementType) : size,
+    };
+  }
+
+  configureChart(args, chart) {
+    const { tooltipFormatter, onSelect } = args;
+    const { categoryProperty = DEFAULT_CATEGORY_PROPERTY } = args;
+    const { config, context } = this.buildLayout(args, chart);
+
+    chart.setOption(
+      {
+        ...config,
+        tooltip: {
+          trigger: 'item',
+          ...(tooltipFormatter && {
+            formatter: (params) =>
+              tooltipFormatter(
+                this.formatTooltipParams(args, params, 'itemTooltip'),
+                context.data.dataset
+              ),
+          }),
+        },
+      },
+      {
+        notMerge: true,
+      }
+    );
+
+    chart.handle('selectchanged', (event) => {
+      const { fromAction, fromActionPayload, isFromClick } = event;
+
+      if (!isFromClick) {
+        return;
+      }
+
+      const series = context.data.dataset[fromActionPayload.seriesIndex];
+      const item = series?.data[fromActionPayload.dataIndexInside];
+
+      onSelect &&
+        onSelect(fromAction === 'select' ? item?.[categoryProperty] : null);
+    });
+  }
+
+  /**
+   * Generates the `data` section of the context used to construct this chart.
+   */
+  createContextData(args, chart) {
+    const context = super.createContextData(args, chart);
+    const { xAxisScale, yAxisScale, sizeProperty } = args;
+    const { xProperty = DEFAULT_X_PROPERTY } = args;
+    const { yProperty = DEFAULT_Y_PROPERTY } = args;
+
+    return {
+      ...context,
+      ...(xAxisScale === 'shared' && {
+        xRange: computeValueRange(context.series, xProperty),
+      }),
+      ...(yAxisScale === 'shared' && {
+        yRange: computeValueRange(context.series, yProperty),
+      }),
+      // Bubbles always use a shared scale so sizes are comparable across plots
+      ...(sizeProperty && {
+        sizeRange: computeValueRange(context.series, sizeProperty),
+      }),
+      // If grouped, render multiple series on a single chart rather than one
+      // chart per series
+      series: this.isGroupedVariant(args.variant)
+        ? [{ data: context.series }]
+        : context.series,
+      dataset: context.series,
+    };
+  }
+
+  /**
+   * Returns the labels for the legend.
+   */
+  getLegendLabels(series, args) {
+    // Grouped datasets have a dummy root node
+    const dataset = this.isGroupedVariant(args.variant)
+      ? series[0].data
+      : series;
+
+    return dataset.map((info) => info.label ?? info.name);
+  }
+
+  /**
+   * Calculate the ticks used for a value axis.
+   */
+  computeAxisTicks(range, axisConfig, formatter) {
+    const scale = echarts.helper.createScale(
+      [range.minimum, range.maximum],
+      axisConfig
+    );
+
+    return scale.getTicks(false).map((tick) => ({
+      label:
+        tick.value == null
+          ? ''
+          : formatter
+          ? formatter(tick.value, 'axis')
+          : echarts.format.addCommas(tick.value),
+      position: scale.normalize(tick.value),
+    }));
+  }
+
+  /**
+   * Generates the configuration for a value axis.
+   */
+  generateAxisConfig(gridIndex, range, formatter, margin, style) {
+    return {
+      gridIndex,
+      type: 'value',
+      // Don't force the axis to include zero
+      scale: true,
+      ...(range && {
+        min: range.minimum,
+        max: range.maximum,
+      }),
+      axisLabel: {
+        ...(formatter && {
+          formatter: (value) => formatter(value, 'axis'),
+        }),
+        // margin between the axis label and the axis line
+        margin,
+        color: style.color,
+        fontStyle: style.fontStyle,
+        fontWeight: style.fontWeight,
+        fontFamily: style.fontFamily,
+        fontSize: style.fontSize,
+        align: style.textAlign,
+      },
+    };
+  }
+
+  /**
+   * Returns a function that computes the size of the symbol for each data
+   * point.
+   */
+  generateSymbolSize(args, data) {
+    const { sizeProperty, symbolSize = 10 } = args;
+
+    if (!sizeProperty) {
+      return symbolSize;
+    }
+
+    const { minBubbleSize = DEFAULT_MIN_BUBBLE_SIZE } = args;
+    const { maxBubbleSize = DEFAULT_MAX_BUBBLE_SIZE } = args;
+    const { maximum } = data.sizeRange;
+
+    // Scale the area rather than the diameter so bubbles are perceived
+    // correctly relative to each other
+    return (value) =>
+      value[2] == null || maximum <= 0
+        ? minBubbleSize
+        : Math.max(
+            minBubbleSize,
+            maxBubbleSize * Math.sqrt(Math.max(0, value[2]) / maximum)
+          );
+  }
+
+  /**
+   * Generates the plot config for a single plot on this chart.
+   */
+  generatePlotConfig(series, layout, context, gridIndex) {
+    const { args, styles, data } = context;
+    const { noDataText, variant, colorMap, sizeProperty } = args;
+
+    if ((!series.data || series.data.length == 0) && noDataText) {
+      return undefined;
+    }
+
+    const { categoryProperty = DEFAULT_CATEGORY_PROPERTY } = args;
+    const { xProperty = DEFAULT_X_PROPERTY } = args;
+    const { yProperty = DEFAULT_Y_PROPERTY } = args;
+    const { xAxisFormatter, yAxisFormatter } = args;
+    const seriesData = this.isGroupedVariant(variant) ? series.data : [series];
+
+    // Analyze the data
+    const xRange = data.xRange ?? computeValueRange(seriesData, xProperty);
+    const yRange = data.yRange ?? computeValueRange(seriesData, yProperty);
+
+    // Configure the axes
+    const xAxisStyle = resolveStyle(styles.xAxis, context.layout);
+    const yAxisStyle = resolveStyle(styles.yAxis, context.layout);
+    const xAxisConfig = this.generateAxisConfig(
+      gridIndex,
+      data.xRange,
+      xAxisFormatter,
+      xAxisStyle.marginTop,
+      xAxisStyle
+    );
+    const yAxisConfig = this.generateAxisConfig(
+      gridIndex,
+      data.yRange,
+      yAxisFormatter,
+      yAxisStyle.marginRight,
+      yAxisStyle
+    );
+    const xTicks = this.computeAxisTicks(xRange, xAxisConfig, xAxisFormatter);
+    const yTicks = this.computeAxisTicks(yRange, yAxisConfig, yAxisFormatter);
+
+    // Compute the space needed for the axis labels, including any overflow of
+    // the labels past the end of the axes
+    const yLabelMetrics = computeMaxTextMetrics(
+      yTicks.map((tick) => tick.label),
+      yAxisStyle
+    );
+    const xLabelMetrics = computeMaxTextMetrics(
+      xTicks.map((tick) => tick.label),
+      xAxisStyle
+    );
+    const yAxisWidth =
+      yLabelMetrics.width + yAxisStyle.marginLeft + yAxisStyle.marginRight;
+    const xAxisHeight =
+      xLabelMetrics.height + xAxisStyle.marginTop + xAxisStyle.marginBottom + 1;
+    const heightOverflow =
+      computeTextMetrics(yTicks[yTicks.length - 1].label, yAxisStyle).height /
+      2;
+    const widthOverflow =
+      computeTextMetrics(xTicks[xTicks.length - 1].label, xAxisStyle).width / 2;
+
+    // Configure final grid style
+    const plotStyle = resolveStyle(styles.plot, context.layout);
+    const gridInfo = {
+      x: layout.innerX + yAxisWidth,
+      y: layout.innerY + heightOverflow,
+      width: layout.innerWidth - yAxisWidth - widthOverflow,
+      height: layout.innerHeight - xAxisHeight - heightOverflow,
+    };
+    const symbolSize = this.generateSymbolSize(args, data);
+
+    return {
+      grid: [
+        {
+          ...gridInfo,
+          ...(plotStyle.borderTopWidth && {
+            show: true,
+            borderColor: plotStyle.borderTopColor,
+            borderWidth: plotStyle.borderTopWidth,
+          }),
+          ...(plotStyle.backgroundColor && {
+            show: true,
+            backgroundColor: plotStyle.backgroundColor,
+          }),
+        },
+      ],
+      xAxis: [xAxisConfig],
+      yAxis: [yAxisConfig],
+      series: seriesData.map((info) => ({
+        type: 'scatter',
+        name: info.label ?? info.name,
+        xAxisIndex: gridIndex,
+        yAxisIndex: gridIndex,
+        symbolSize,
+        itemStyle: {
+          color: colorMap?.[info.label ?? info.name],
+          // Allow overlapping bubbles to be seen
+          ...(sizeProperty && {
+            opacity: 0.7,
+          }),
+        },
+        emphasis: {
+          itemStyle: {
+            shadowBlur: 3,
+            shadowColor: '#000000',
+            shadowOffsetX: 1,
+            shadowOffsetY: 1,
+          },
+        },
+        // if this is changed, update the select handler in `configureChart`
+        selectedMode: 'single',
+        data: (info.data ?? []).map((item) => ({
+          name: item[categoryProperty],
+          value: [
+            item[xProperty],
+            item[yProperty],
+            ...(sizeProperty ? [item[sizeProperty]] : []),
+          ],
+        })),
+      })),
+    };
+  }
+
+  /**
+   * Generates text to overlay on each cell of the chart, if any.
+   */
+  generateTextOverlayConfig(series, args, layout, style) {
+    const { noDataText } = args;
+
+    return (!series.data || series.data.length == 0) && noDataText
+      ? this.generateTextConfig(
+          noDataText,
+          {
+            width: layout.innerWidth,
+            height: layout.innerHeight,
+            x: layout.innerX,
+            y: layout.innerY,
+          },
+          style
+        )
+      : undefined;
+  }
+}
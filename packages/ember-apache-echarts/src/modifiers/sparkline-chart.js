@@ -0,0 +1,256 @@
+import computeInnerBox from '../utils/layout/compute-inner-box';
+import mergeAtPaths from '../utils/merge-at-paths';
+import onSharedElementResize from '../utils/on-shared-element-resize';
+import resolveStyle from '../utils/style/resolve-style';
+import AbstractChartModifier from './abstract-chart';
+
+const DEFAULT_VALUE_PROPERTY = 'value';
+const DEFAULT_COLOR = '#5470c6';
+const DEFAULT_MARKER_COLORS = {
+  min: '#c62828',
+  max: '#2e7d32',
+};
+const MARKER_SIZE = 5;
+
+// Sparklines without a `chartStyle` share the same styles, since resolving a
+// style is relatively expensive when rendering hundreds of sparklines
+let sharedStyles;
+let sharedChartStyle;
+
+/**
+ * Renders a minimal line, area or bar chart without a title, legend, axes or
+ * cells, suitable for embedding within tables and tiles.
+ *
+ * Sparklines are designed to be rendered in large numbers, so they share a
+ * single `ResizeObserver`, don't animate and don't respond to the mouse.
+ *
+ * # Arguments
+ *
+ * ## Data
+ *
+ * `data`
+ * : An array of values in the order they should be rendered, where each value
+ *   is either a number or a data object with a value property (e.g., `value`).
+ *
+ * `valueProperty`
+ * : The name of the property within the data objects to use as the value
+ *
+ *
+ * ## Chart Layout
+ *
+ * `chartStyle`
+ * : CSS properties for the entire chart including background color, border,
+ *   margins and padding. The padding should leave enough space for markers.
+ *
+ *
+ * ## Sparklines
+ *
+ * `variant`
+ * : How to render the sparkline: `line` (default), `area` or `bar`
+ *
+ * `color`
+ * : The color of the sparkline
+ *
+ * `markers`
+ * : An array of the points to mark on the sparkline: `min`, `max` and `last`
+ *
+ * `markerColors`
+ * : An object mapping the name of each marker to its color. The `min` marker
+ *   defaults to red, the `max` marker to green and the `last` marker to the
+ *   color of the sparkline.
+ */
+export default class SparklineChartModifier extends AbstractChartModifier {
+  get defaultStyles() {
+    // Sparklines only render the chart box, so don't include other styles
+    return {
+      chart: {
+        padding: Math.ceil(MARKER_SIZE / 2),
+      },
+    };
+  }
+
+  configureChart(args, chart) {
+    const { config } = this.buildLayout(args, chart);
+
+    chart.setOption(config, {
+      notMerge: true,
+    });
+  }
+
+  /**
+   * Watches the `element` for resize events using a shared observer.
+   */
+  onResize(element, callback) {
+    return onSharedElementResize(element, callback);
+  }
+
+  /**
+   * Builds the layout for this chart, which only consists of the chart box and
+   * the sparkline within it.
+   */
+  buildLayout(args, chart) {
+    const config = {
+      animation: false,
+    };
+    const context = this.createContext(args, chart);
+    const style = this.resolveChartStyle(context);
+
+    if (args.chartStyle) {
+      mergeAtPaths(
+        config,
+        this.generateBoxConfig({
+          ...style,
+          ...context.layout,
+        })
+      );
+    }
+
+    context.layout = {
+      ...context.layout,
+      ...computeInnerBox(context.layout, style),
+    };
+
+    mergeAtPaths(
+      config,
+      this.generatePlotConfig(context.data.series[0], context.layout, context)
+    );
+
+    return {
+      context,
+      config,
+    };
+  }
+
+  /**
+   * Generates the styles for this chart, sharing them across sparklines when
+   * no styles are defined in `args`.
+   */
+  createStyles(args) {
+    if (args.chartStyle) {
+      return super.createStyles(args);
+    }
+
+    if (!sharedStyles) {
+      sharedStyles = super.createStyles(args);
+    }
+
+    return sharedStyles;
+  }
+
+  /**
+   * Resolves the style of the chart box, sharing the resolved style across
+   * sparklines when no styles are defined in the args.
+   */
+  resolveChartStyle(context) {
+    const { args, styles, layout } = context;
+
+    if (args.chartStyle) {
+      return resolveStyle(styles.chart, layout);
+    }
+
+    if (!sharedChartStyle) {
+      sharedChartStyle = resolveStyle(styles.chart, layout);
+    }
+
+    return sharedChartStyle;
+  }
+
+  /**
+   * Generates the `data` section of the context used to construct this chart.
+   */
+  createContextData(args) {
+    const { valueProperty = DEFAULT_VALUE_PROPERTY } = args;
+
+    return {
+      series: [
+        {
+          data: (args.data ?? []).map((item) =>
+            typeof item === 'object' && item != null
+              ? item[valueProperty]
+              : item
+          ),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Generates the plot config for the sparkline.
+   */
+  generatePlotConfig(series, layout, context) {
+    const { args } = context;
+    const { variant = 'line', color = DEFAULT_COLOR, markers = [] } = args;
+    const { markerColors } = args;
+    const isBar = variant === 'bar';
+    const colors = {
+      ...DEFAULT_MARKER_COLORS,
+      last: color,
+      ...markerColors,
+    };
+    const lastIndex = series.data.length - 1;
+
+    return {
+      grid: [
+        {
+          left: layout.x,
+          top: layout.y,
+          width: layout.width,
+          height: layout.height,
+        },
+      ],
+      xAxis: [
+        {
+          type: 'category',
+          show: false,
+          boundaryGap: isBar,
+          data: series.data.map((value, index) => index),
+        },
+      ],
+      yAxis: [
+        {
+          type: 'value',
+          show: false,
+          scale: !isBar,
+        },
+      ],
+      series: [
+        {
+          type: isBar ? 'bar' : 'line',
+          silent: true,
+          showSymbol: false,
+          color,
+          ...(!isBar && {
+            lineStyle: {
+              width: 1.5,
+            },
+          }),
+          ...(variant === 'area' && {
+            areaStyle: {
+              opacity: 0.2,
+            },
+          }),
+          ...(markers.length > 0 &&
+            lastIndex >= 0 && {
+              markPoint: {
+                symbol: 'circle',
+                symbolSize: MARKER_SIZE,
+                silent: true,
+                label: {
+                  show: false,
+                },
+                data: markers.map((type) => ({
+                  ...(type === 'last'
+                    ? { coord: [lastIndex, series.data[lastIndex]] }
+                    : { type }),
+                  itemStyle: {
+                    color: colors[type],
+                  },
+                })),
+              },
+            }),
+          data: series.data,
+        },
+      ],
+    };
+  }
+}
@@ -0,0 +1,100 @@
+import AbstractHierarchyChartModifier from './abstract-hierarchy-chart';
+
+/**
+ * Renders hierarchical data as a sunburst. Clicking a node with children zooms
+ * into that node.
+ *
+ * # Arguments
+ *
+ * ## Data
+ *
+ * `data`
+ * : An array of data objects, where each data object has a category property
+ *   (e.g., `name`) and a value property (e.g., `value`).
+ *
+ * `series`
+ * : An array of data series, where each series has a label defined using the
+ *   `label` or `name` property, data contained in the `data` property (see
+ *   `data` argument above for the format) and an optional `series` property
+ *   which contains an array of child series. Series with child series are
+ *   rendered as nodes containing the child series, while series without child
+ *   series are rendered as nodes containing their data. When the `series`
+ *   argument is present, the `data` argument is ignored.
+ *
+ * `categoryProperty`
+ * : The name of the property within the data to use as the name of each data
+ *   point.
+ *
+ * `valueProperty`
+ * : The name of the property within the data to use as the value for each data
+ *   point.
+ *
+ *
+ * ## Chart Layout
+ *
+ * `chartStyle`
+ * : CSS properties for the entire chart including background color, border,
+ *   margins and padding.
+ *
+ * `chartTitleStyle`
+ * : CSS properties for the title for the entire chart including color, font,
+ *   background color, border and alignment.
+ *
+ * `cellStyle`
+ * : CSS properties defining the style for the plot
+ *
+ *
+ * ## Zooming
+ *
+ * `breadcrumbRootLabel`
+ * : The label for the top of the hierarchy in the breadcrumb. Defaults to
+ *   `All`.
+ *
+ * `breadcrumbStyle`
+ * : CSS properties defining the style of the breadcrumb rendered when zoomed
+ *   into a node
+ *
+ *
+ * ## Tooltips
+ *
+ * `tooltipFormatter`
+ * : The function used to generate the tool tip
+ *
+ *
+ * ## Events
+ *
+ * `onSelect`
+ * : Called when a node on the chart is clicked with the path of names from the
+ *   top of the hierarchy to the node
+ */
+export default class SunburstChartModifier extends AbstractHierarchyChartModifier {
+  /**
+   * Generates the plot config for the sunburst.
+   */
+  generatePlotConfig(series, layout, context) {
+    const { noDataText } = context.args;
+
+    return series.data.length == 0 && noDataText
+      ? undefined
+      : {
+          series: [
+            {
+              type: 'sunburst',
+              center: [
+                layout.innerX + layout.innerWidth / 2 - 0.5,
+                layout.innerY + layout.innerHeight / 2 - 0.5,
+              ],
+              radius: [0, Math.min(layout.innerWidth, layout.innerHeight) / 2],
+              // Zooming is handled by this chart so the breadcrumb can be kept
+              // in sync with the zoom level
+              nodeClick: false,
+              itemStyle: {
+                borderColor: '#fff',
+                borderWidth: 1,
+              },
+              data: series.data,
+            },
+          ],
+        };
+  }
+}
@@ -0,0 +1,388 @@
+import defaults from 'lodash/defaults';
+import omit from 'lodash/omit';
+import BarChartModifier from './bar-chart';
+
+const DEFAULT_CATEGORY_PROPERTY = 'at';
+const DEFAULT_VALUE_PROPERTY = 'value';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// The lengths of the named intervals for the `interval` argument
+const INTERVALS = {
+  minute: MINUTE,
+  hour: HOUR,
+  day: DAY,
+  week: 7 * DAY,
+  month: 30 * DAY,
+};
+
+// The number of days in each of the time range presets
+const TIME_RANGE_PRESETS = {
+  last7Days: 7,
+  last30Days: 30,
+  last90Days: 90,
+};
+
+// How many intervals can pass between two data points before it's considered a
+// gap, allowing for intervals that vary in length, such as months
+const GAP_TOLERANCE = 1.5;
+
+// The defaults used for arguments that are not defined
+const DEFAULT_ARGS = {
+  variant: 'groupedLine',
+  missingValueFormat: '--',
+  missingCategoryFormat: '???',
+  categoryAxisMaxLabelCount: 20,
+  xAxisPointer: 'line',
+  xAxisPointerLabel: 'top',
+  xAxisZoom: 'bottom',
+  xAxisZoomBrush: true,
+  legend: 'topLeft',
+  drillUpButtonText: 'chevron_left',
+};
+
+// Cache the formatters, since creating them is relatively expensive
+const dateTimeFormats = new Map();
+
+/**
+ * Returns a date time format for the `timezone` using the `options`.
+ */
+const getDateTimeFormat = (timezone, options) => {
+  const key = `${timezone}|${JSON.stringify(options)}`;
+
+  if (!dateTimeFormats.has(key)) {
+    dateTimeFormats.set(
+      key,
+      new Intl.DateTimeFormat(undefined, { ...options, timeZone: timezone })
+    );
+  }
+
+  return dateTimeFormats.get(key);
+};
+
+/**
+ * Creates a formatter for times in the `timezone` that includes the time of day
+ * when the `interval` is less than a day. Axis labels are abbreviated, while
+ * tooltips include the full date.
+ */
+const createTimeFormatter = (timezone, interval) => (value, elementType) => {
+  const isTooltip =
+    typeof elementType === 'string' && elementType.endsWith('Tooltip');
+  const time = {
+    ...(interval < DAY && {
+      hour: '2-digit',
+      minute: '2-digit',
+    }),
+  };
+  const date =
+    isTooltip || interval >= INTERVALS.month
+      ? { year: 'numeric', month: 'short' }
+      : { month: 'short' };
+
+  return getDateTimeFormat(timezone, {
+    ...date,
+    ...((isTooltip || interval < INTERVALS.month) && { day: 'numeric' }),
+    ...time,
+  }).format(new Date(Number(value)));
+};
+
+/**
+ * Returns the smallest interval between consecutive times within each series,
+ * or a day if no series has more than one time.
+ */
+const computeInterval = (timeSeries) => {
+  const interval = timeSeries.reduce(
+    (interval, times) =>
+      times.reduce((interval, time, index) => {
+        const difference = index > 0 ? time - times[index - 1] : 0;
+
+        return difference > 0 ? Math.min(interval, difference) : interval;
+      }, interval),
+    Infinity
+  );
+
+  return isFinite(interval) ? interval : DAY;
+};
+
+/**
+ * Returns the latest time within the normalized `series`, including those of
+ * any child series.
+ */
+const computeLatestTime = (series) =>
+  series.reduce(
+    (latest, info) =>
+      Math.max(
+        (info.data ?? []).reduce(
+          (latest, item) => Math.max(latest, item.name),
+          latest
+        ),
+        info.series ? computeLatestTime(info.series) : -Infinity
+      ),
+    -Infinity
+  );
+
+/**
+ * Renders one or more series of values over time as line, area or bar charts.
+ *
+ * The series are rendered using the bar chart with a time axis as the category
+ * axis. All arguments of the bar chart are supported except those related to
+ * the categories, which are replaced by the arguments below. The data is never
+ * rotated, so `rotateData` is ignored, and the times are always sorted in
+ * ascending order, so `categoryAxisSort` is ignored.
+ *
+ * # Arguments
+ *
+ * ## Data
+ *
+ * `series`
+ * : An array of data series, where each series has a label defined using the
+ *   `label` or `name` property and data contained in the `data` property.
+ *   Each data object has a time property (e.g., `at`) containing a `Date`, a
+ *   timestamp or an ISO 8601 string, and a value property (e.g., `value`).
+ *
+ * `data`
+ * : An alias for `series` when `series` is not defined
+ *
+ * `categoryProperty`
+ * : The name of the property within the data to use as the time for each data
+ *   point. Defaults to `at`.
+ *
+ * `valueProperty`
+ * : The name of the property within the data to use as the value for each data
+ *   point. Defaults to `value`.
+ *
+ *
+ * ## Times
+ *
+ * `timezone`
+ * : The IANA time zone used to format the times, such as `America/New_York`.
+ *   Defaults to the time zone of the browser. Ticks on the time axis are placed
+ *   using the time zone of the browser unless the time zone is `UTC`.
+ *
+ * `interval`
+ * : The expected interval between data points: `minute`, `hour`, `day`,
+ *   `week`, `month` or a number of milliseconds. Defaults to the smallest
+ *   interval between data points in any series.
+ *
+ * `gaps`
+ * : How to render gaps, where more than one interval passes between data
+ *   points: `break` (default) to break the line at the gap or `connect` to
+ *   connect the data points on either side of the gap
+ *
+ * `timeRangePreset`
+ * : The time range initially shown in the zoom window, relative to the latest
+ *   time in the data: `last7Days`, `last30Days`, `last90Days` or `all`
+ *   (default). Only applies when `xAxisZoom` is enabled.
+ *
+ *
+ * ## Formatting
+ *
+ * `categoryAxisFormatter`, `xAxisFormatter`
+ * : The function used to format the times. Passed the timestamp to be
+ *   formatted and the type of element the value is being formatted for.
+ *   Defaults to formatting the times in the `timezone`.
+ *
+ * `valueAxisFormatter`, `yAxisFormatter`
+ * : The function used to format the values
+ */
+export default class TimeSeriesChartModifier extends BarChartModifier {
+  get defaultStyles() {
+    const styles = super.defaultStyles;
+
+    // Override only some of the default styles of the bar chart, so the chart
+    // has a more compact layout
+    return {
+      ...styles,
+      chartTitle: {
+        ...styles.chartTitle,
+        font: 'bold 18px Montserrat,sans-serif',
+        textAlign: 'left',
+        marginLeft: 80,
+        marginBottom: 8,
+        marginTop: 4,
+      },
+      legend: {
+        ...styles.legend,
+        font: 'normal 12px Montserrat,sans-serif',
+        margin: 20,
+        marginLeft: 80,
+        marginBottom: 0,
+      },
+      xAxisZoom: {
+        ...styles.xAxisZoom,
+        marginTop: 0,
+      },
+      cell: {
+        ...styles.cell,
+        marginBottom: 0,
+      },
+      plot: {
+        ...styles.plot,
+        border: 'solid 1px #dbdbdb',
+      },
+      xAxisPointerLabel: {
+        ...styles.xAxisPointerLabel,
+        background: '#fff',
+        border: 'solid 1px #dbdbdb',
+        marginBottom: 8,
+      },
+      drillUpButton: {
+        ...styles.drillUpButton,
+        color: '#036E9B',
+        marginTop: -3,
+        fontFamily: 'Material Icons',
+      },
+    };
+  }
+
+  configureChart(args, chart) {
+    super.configureChart(this.computeTimeSeriesArgs(args), chart);
+  }
+
+  /**
+   * Converts the times in the data of `args` into timestamps, detects the gaps
+   * between them and returns the arguments for rendering the series as a bar
+   * chart with a time axis.
+   */
+  computeTimeSeriesArgs(args) {
+    const { timezone, xAxisFormatter, yAxisFormatter } = args;
+    const { gaps = 'break' } = args;
+    const { categoryProperty = DEFAULT_CATEGORY_PROPERTY } = args;
+    const { valueProperty = DEFAULT_VALUE_PROPERTY } = args;
+    const series = args.series ?? args.data ?? [];
+    const toTimes = (info) => [
+      (info.data ?? [])
+        .map((item) => new Date(item[categoryProperty]).valueOf())
+        .filter((time) => !isNaN(time))
+        .sort((time1, time2) => time1 - time2),
+      ...(info.series ?? []).flatMap(toTimes),
+    ];
+    const interval =
+      INTERVALS[args.interval] ??
+      (args.interval > 0
+        ? args.interval
+        : computeInterval(series.flatMap(toTimes)));
+    const toSeries = (info) => ({
+      ...info,
+      data: this.computeTimeSeriesData(info.data, interval, gaps, {
+        categoryProperty,
+        valueProperty,
+      }),
+      ...(info.series && {
+        series: info.series.map(toSeries),
+      }),
+    });
+
+    return {
+      ...defaults({}, args, DEFAULT_ARGS),
+      data: undefined,
+      series: series.map(toSeries),
+      categoryAxisFormatter:
+        args.categoryAxisFormatter ??
+        xAxisFormatter ??
+        createTimeFormatter(timezone, interval),
+      valueAxisFormatter: args.valueAxisFormatter ?? yAxisFormatter,
+      categoryProperty: 'name',
+      valueProperty: 'value',
+      // Rotating the data would render the labels of the series as times
+      rotateData: false,
+      categoryAxisType: 'time',
+      categoryAxisSort: 'firstSeries',
+    };
+  }
+
+  /**
+   * Converts the `data` of a series into data objects sorted by time, where the
+   * `name` is the timestamp, the `time` is the `Date` and the `item` is the
+   * original data object. Data objects following a gap are marked using
+   * `isAfterGap` and, when breaking on gaps, preceded by an empty data object.
+   */
+  computeTimeSeriesData(data, interval, gaps, properties) {
+    const { categoryProperty, valueProperty } = properties;
+    const items = (data ?? [])
+      .map((item) => ({
+        name: new Date(item[categoryProperty]).valueOf(),
+        value: item[valueProperty],
+        item,
+      }))
+      .filter((item) => !isNaN(item.name))
+      .sort((item1, item2) => item1.name - item2.name);
+
+    return items.flatMap((item, index) => {
+      const previous = items[index - 1];
+      const isAfterGap =
+        previous != null &&
+        item.name - previous.name > interval * GAP_TOLERANCE;
+      const result = {
+        ...item,
+        time: new Date(item.name),
+        isAfterGap,
+      };
+
+      // An empty value breaks the line between the points around the gap
+      return isAfterGap && gaps === 'break'
+        ? [{ name: previous.name + interval, value: null }, result]
+        : [result];
+    });
+  }
+
+  /**
+   * Renders the times using UTC when the `timezone` is UTC, since ECharts can
+   * only place ticks using either the local time zone or UTC.
+   */
+  buildLayout(args, chart) {
+    const layout = super.buildLayout(args, chart);
+
+    if (args.timezone === 'UTC') {
+      layout.config.useUTC = true;
+    }
+
+    return layout;
+  }
+
+  /**
+   * Adds the `time`, whether the item follows a gap and the original data
+   * object for the item to the formatted `params`.
+   */
+  formatTooltipParams(args, params, elementType, dataset) {
+    const { time, isAfterGap, item } = params.data ?? {};
+
+    return {
+      ...super.formatTooltipParams(args, params, elementType, dataset),
+      time,
+      isAfterGap,
+      data: item,
+    };
+  }
+
+  /**
+   * Generates the configuration for the control that allows a user to zoom in
+   * and out of the data, initially showing the `timeRangePreset`, if any.
+   */
+  generateXAxisDataZoomConfig(args, layout, style) {
+    const config = super.generateXAxisDataZoomConfig(args, layout, style);
+    const days = TIME_RANGE_PRESETS[args.timeRangePreset];
+
+    if (!config || !days) {
+      return config;
+    }
+
+    const endValue = computeLatestTime(args.series);
+
+    if (!isFinite(endValue)) {
+      return config;
+    }
+
+    return {
+      ...config,
+      // The percentages take priority over the values, so remove them
+      dataZoom: config.dataZoom.map((zoom) => ({
+        ...omit(zoom, ['start', 'end']),
+        startValue: endValue - days * DAY,
+        endValue,
+      })),
+    };
+  }
+}
@@ -0,0 +1,108 @@
+import AbstractHierarchyChartModifier from './abstract-hierarchy-chart';
+
+/**
+ * Renders hierarchical data as a treemap. Clicking a node with children zooms
+ * into that node.
+ *
+ * # Arguments
+ *
+ * ## Data
+ *
+ * `data`
+ * : An array of data objects, where each data object has a category property
+ *   (e.g., `name`) and a value property (e.g., `value`).
+ *
+ * `series`
+ * : An array of data series, where each series has a label defined using the
+ *   `label` or `name` property, data contained in the `data` property (see
+ *   `data` argument above for the format) and an optional `series` property
+ *   which contains an array of child series. Series with child series are
+ *   rendered as nodes containing the child series, while series without child
+ *   series are rendered as nodes containing their data. When the `series`
+ *   argument is present, the `data` argument is ignored.
+ *
+ * `categoryProperty`
+ * : The name of the property within the data to use as the name of each data
+ *   point.
+ *
+ * `valueProperty`
+ * : The name of the property within the data to use as the value for each data
+ *   point.
+ *
+ *
+ * ## Chart Layout
+ *
+ * `chartStyle`
+ * : CSS properties for the entire chart including background color, border,
+ *   margins and padding.
+ *
+ * `chartTitleStyle`
+ * : CSS properties for the title for the entire chart including color, font,
+ *   background color, border and alignment.
+ *
+ * `cellStyle`
+ * : CSS properties defining the style for the plot
+ *
+ *
+ * ## Zooming
+ *
+ * `breadcrumbRootLabel`
+ * : The label for the top of the hierarchy in the breadcrumb. Defaults to
+ *   `All`.
+ *
+ * `breadcrumbStyle`
+ * : CSS properties defining the style of the breadcrumb rendered when zoomed
+ *   into a node
+ *
+ *
+ * ## Tooltips
+ *
+ * `tooltipFormatter`
+ * : The function used to generate the tool tip
+ *
+ *
+ * ## Events
+ *
+ * `onSelect`
+ * : Called when a node on the chart is clicked with the path of names from the
+ *   top of the hierarchy to the node
+ */
+export default class TreemapChartModifier extends AbstractHierarchyChartModifier {
+  /**
+   * Generates the plot config for the treemap.
+   */
+  generatePlotConfig(series, layout, context) {
+    const { noDataText } = context.args;
+
+    return series.data.length == 0 && noDataText
+      ? undefined
+      : {
+          series: [
+            {
+              type: 'treemap',
+              left: layout.innerX,
+              top: layout.innerY,
+              width: layout.innerWidth,
+              height: layout.innerHeight,
+              // Zooming & breadcrumbs are handled by this chart so they can be
+              // laid out consistently with the other hierarchical charts
+              roam: false,
+              nodeClick: false,
+              breadcrumb: {
+                show: false,
+              },
+              upperLabel: {
+                show: true,
+                height: 20,
+              },
+              itemStyle: {
+                borderColor: '#fff',
+                borderWidth: 1,
+                gapWidth: 1,
+              },
+              data: series.data,
+            },
+          ],
+        };
+  }
+}
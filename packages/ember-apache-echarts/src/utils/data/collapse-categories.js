@@ -0,0 +1,82 @@
+/**
+ * Collapses the smallest categories in the series of `dataset` into a single
+ * category, so that no more than `maxCategories` categories remain. The size of
+ * each category is the total of its values across all series, so the same
+ * categories are collapsed in every series.
+ *
+ * The data object for the collapsed category in each series has the
+ * `otherLabel` as its category, the sum of the collapsed values as its value
+ * and the original data objects that were collapsed in `collapsed`. Series
+ * without any collapsed data objects are returned unchanged.
+ *
+ * @param {object[]} dataset          An array of data series
+ * @param {number}   maxCategories    The maximum number of categories,
+ *                                    including the collapsed category
+ * @param {string}   otherLabel       The category for the collapsed category
+ * @param {string}   categoryProperty The name of the property in each data
+ *                                    object that represents the category
+ * @param {string}   valueProperty    The name of the property in each data
+ *                                    object that represents the value
+ *
+ * @return {object[]} An array of data series with the smallest categories
+ *                    collapsed
+ */
+export default function collapseCategories(
+  dataset,
+  maxCategories,
+  otherLabel,
+  categoryProperty,
+  valueProperty
+) {
+  const totals = new Map();
+
+  for (const series of dataset) {
+    for (const item of (series.data ?? []).filter(Boolean)) {
+      const category = item[categoryProperty];
+
+      totals.set(
+        category,
+        (totals.get(category) ?? 0) + (item[valueProperty] ?? 0)
+      );
+    }
+  }
+
+  if (!(maxCategories > 0) || totals.size <= maxCategories) {
+    return dataset;
+  }
+
+  // Keep the largest categories, leaving room for the collapsed category
+  const kept = new Set(
+    Array.from(totals.keys())
+      .sort(
+        (category1, category2) => totals.get(category2) - totals.get(category1)
+      )
+      .slice(0, maxCategories - 1)
+  );
+
+  return dataset.map((series) => {
+    const data = (series.data ?? []).filter(
+      (item) => !item || kept.has(item[categoryProperty])
+    );
+    const collapsed = (series.data ?? []).filter(
+      (item) => item && !kept.has(item[categoryProperty])
+    );
+
+    return !collapsed.length
+      ? series
+      : {
+          ...series,
+          data: [
+            ...data,
+            {
+              [categoryProperty]: otherLabel,
+              [valueProperty]: collapsed.reduce(
+                (total, item) => total + (item[valueProperty] ?? 0),
+                0
+              ),
+              collapsed,
+            },
+          ],
+        };
+  });
+}
@@ -0,0 +1,49 @@
+import computeQuantile from './compute-quantile';
+
+/**
+ * Computes the statistical summary used to render a box plot for a set of
+ * observations.
+ *
+ * The whiskers extend to the most extreme observations within `whiskerRange`
+ * times the interquartile range (IQR) of the first and third quartiles. Any
+ * observations beyond the whiskers are returned as outliers.
+ *
+ * @param {number[]} values       An array of observations in any order.
+ *                                Non-numeric values are ignored.
+ * @param {number}   whiskerRange The multiple of the IQR the whiskers may
+ *                                extend past the quartiles
+ *
+ * @return {object} An object containing the `min` and `max` (whisker ends),
+ *                  `q1`, `median`, `q3`, `outliers` and `count` of the
+ *                  observations, or undefined if there are no observations
+ */
+export default function computeBoxPlotStatistics(values, whiskerRange = 1.5) {
+  const sorted = values
+    .filter((value) => typeof value === 'number' && !isNaN(value))
+    .sort((value1, value2) => value1 - value2);
+
+  if (!sorted.length) {
+    return undefined;
+  }
+
+  const q1 = computeQuantile(sorted, 0.25);
+  const median = computeQuantile(sorted, 0.5);
+  const q3 = computeQuantile(sorted, 0.75);
+  const lowerFence = q1 - (q3 - q1) * whiskerRange;
+  const upperFence = q3 + (q3 - q1) * whiskerRange;
+  const inliers = sorted.filter(
+    (value) => value >= lowerFence && value <= upperFence
+  );
+
+  return {
+    min: inliers[0],
+    q1,
+    median,
+    q3,
+    max: inliers[inliers.length - 1],
+    outliers: sorted.filter(
+      (value) => value < lowerFence || value > upperFence
+    ),
+    count: sorted.length,
+  };
+}
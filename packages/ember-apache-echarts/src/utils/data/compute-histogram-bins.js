@@ -0,0 +1,129 @@
+import computeQuantile from './compute-quantile';
+
+// The most bins computed, so a tiny width can't create millions of bins
+const MAX_BIN_COUNT = 1000;
+
+/**
+ * Computes the width of each bin using the `method` for the sorted `values`.
+ */
+const computeMethodBinWidth = (values, method, range) => {
+  if (method === 'freedmanDiaconis') {
+    const iqr = computeQuantile(values, 0.75) - computeQuantile(values, 0.25);
+
+    // Fall back to Sturges' rule when the quartiles are the same
+    if (iqr > 0) {
+      // Adjust the width so the bins evenly divide the range
+      return range / Math.ceil(range / ((2 * iqr) / Math.cbrt(values.length)));
+    }
+  }
+
+  return range / (Math.ceil(Math.log2(values.length)) + 1);
+};
+
+/**
+ * Divides the range of `values` into adjacent bins of equal width and counts
+ * the number of values within each bin. Each bin includes its start and
+ * excludes its end, except for the last bin, which includes both.
+ *
+ * The width of the bins is determined by the first of these options that is
+ * defined:
+ *
+ * `binWidth`
+ * : The width of each bin. Unless `minimum` is defined, the bins start at a
+ *   multiple of the width.
+ *
+ * `binCount`
+ * : The number of bins to divide the range into.
+ *
+ * `binMethod`
+ * : The rule used to compute the number of bins from the values: `sturges`
+ *   (default) or `freedmanDiaconis`.
+ *
+ * The range of the bins defaults to the range of the values, but can be fixed
+ * using the `minimum` and `maximum` options, such as to share the same bins
+ * across multiple sets of values. Values outside of the range are ignored.
+ *
+ * No more than 1000 bins are computed. When the width would divide the range
+ * into more bins, the range is divided into 1000 bins instead.
+ *
+ * @param {number[]} values  An array of values in any order. Non-numeric values
+ *                           are ignored.
+ * @param {object}   options The options used to compute the bins
+ *
+ * @return {object[]} An array of bins, where each bin has a `start`, `end` and
+ *                    `count`, or an empty array if there are no values
+ *
+ * @throws {Error} If the minimum of the range is greater than the maximum
+ */
+export default function computeHistogramBins(values, options = {}) {
+  const { binWidth, binCount, binMethod = 'sturges' } = options;
+  const sorted = values
+    .filter((value) => typeof value === 'number' && !isNaN(value))
+    .sort((value1, value2) => value1 - value2);
+
+  if (!sorted.length) {
+    return [];
+  }
+
+  const maximum = options.maximum ?? sorted[sorted.length - 1];
+  const range = maximum - (options.minimum ?? sorted[0]);
+
+  // prettier not formatting nested ternaries properly, so turn it off
+  // prettier-ignore
+  const width =
+    binWidth > 0
+      ? binWidth
+      : binCount > 0
+        ? range / binCount
+        : computeMethodBinWidth(sorted, binMethod, range);
+  const minimum =
+    options.minimum ??
+    (binWidth > 0 ? Math.floor(sorted[0] / width) * width : sorted[0]);
+
+  if (minimum > maximum) {
+    throw new Error(
+      `The minimum of the bins (${minimum}) is greater than the maximum (${maximum}).`
+    );
+  }
+
+  // All values are the same, so a single bin contains them all
+  if (!(width > 0)) {
+    return [
+      {
+        start: minimum,
+        end: maximum,
+        count: sorted.filter((value) => value >= minimum && value <= maximum)
+          .length,
+      },
+    ];
+  }
+
+  // Round before taking the ceiling so floating point errors in the width
+  // don't add an extra bin
+  const widthCount = Math.max(
+    1,
+    Math.ceil(Number(((maximum - minimum) / width).toFixed(10)))
+  );
+  const isCapped = widthCount > MAX_BIN_COUNT;
+  const count = isCapped ? MAX_BIN_COUNT : widthCount;
+  const binSize = isCapped ? (maximum - minimum) / count : width;
+  const bins = Array.from({ length: count }, (value, index) => ({
+    start: minimum + index * binSize,
+    // Bins of a fixed width always have the same width, while other bins end
+    // exactly at the maximum
+    end:
+      index === count - 1 && (isCapped || !(binWidth > 0))
+        ? maximum
+        : minimum + (index + 1) * binSize,
+    count: 0,
+  }));
+
+  sorted
+    .filter((value) => value >= minimum && value <= maximum)
+    .forEach((value) => {
+      bins[Math.min(count - 1, Math.floor((value - minimum) / binSize))]
+        .count++;
+    });
+
+  return bins;
+}
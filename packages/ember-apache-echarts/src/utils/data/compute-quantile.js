@@ -0,0 +1,21 @@
+/**
+ * Computes the `quantile` of the `values`, interpolating linearly between the
+ * two closest values when the quantile falls between them.
+ *
+ * @param {number[]} values   An array of numbers sorted in ascending order
+ * @param {number}   quantile The quantile to compute between 0 and 1 (e.g.,
+ *                            0.5 for the median)
+ *
+ * @return {number} The value of the quantile, or undefined if `values` is empty
+ */
+export default function computeQuantile(values, quantile) {
+  if (!values.length) {
+    return undefined;
+  }
+
+  const position = (values.length - 1) * quantile;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+
+  return values[lower] + (values[upper] - values[lower]) * (position - lower);
+}
@@ -0,0 +1,27 @@
+/**
+ * Computes the minimum and maximum of the numeric values of `property` within
+ * `dataset`, where `dataset` is an array of data series. Unlike
+ * `computeStatistic`, zero values are included.
+ *
+ * @param {DataSeries[]} dataset  An array of data series
+ * @param {string}       property The property specifying the value to use
+ *                                within each data series
+ *
+ * @return {object} An object containing the `minimum` and `maximum` values, or
+ *                  `0` for both if no numeric values exist
+ */
+export default function computeValueRange(dataset, property = 'value') {
+  const values = dataset
+    .flatMap((series) => series.data ?? [])
+    .map((item) => item?.[property])
+    .filter((value) => value != null && !isNaN(value));
+
+  return {
+    minimum: values.length
+      ? values.reduce((minimum, value) => Math.min(minimum, value), Infinity)
+      : 0,
+    maximum: values.length
+      ? values.reduce((maximum, value) => Math.max(maximum, value), -Infinity)
+      : 0,
+  };
+}
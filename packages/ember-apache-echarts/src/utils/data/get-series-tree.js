@@ -0,0 +1,29 @@
+/**
+ * Converts hierarchical data series into the tree of nodes used by the
+ * hierarchical chart types (e.g., treemaps and sunbursts).
+ *
+ * Each series becomes a node named using the `label` or `name` of the series.
+ * The children of the node are the nodes for the child series in the `series`
+ * property of the series, if any, or otherwise nodes for each data object in
+ * the `data` property of the series.
+ *
+ * @param {object[]} series           An array of data series
+ * @param {string}   categoryProperty The name of the property in each data
+ *                                    object that represents the category
+ * @param {string}   valueProperty    The name of the property in each data
+ *                                    object that represents the value
+ *
+ * @return {object[]} An array of tree nodes with `name` and either `children`
+ *                    or `value` properties
+ */
+export default function getSeriesTree(series, categoryProperty, valueProperty) {
+  return series.map((info) => ({
+    name: info.label ?? info.name,
+    children: info.series
+      ? getSeriesTree(info.series, categoryProperty, valueProperty)
+      : (info.data ?? []).map((item) => ({
+          name: item[categoryProperty],
+          value: item[valueProperty],
+        })),
+  }));
+}
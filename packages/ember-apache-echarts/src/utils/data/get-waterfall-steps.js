@@ -0,0 +1,67 @@
+import createLookup from '../create-lookup';
+
+/**
+ * Returns the steps of a waterfall for each category in `categories`, where
+ * the value of each data object is the change from the running total of the
+ * previous steps. Data objects marked as totals instead render the running
+ * total at that step, ignoring their value.
+ *
+ * Each step has the following properties:
+ *
+ * `start`
+ * : The running total before this step, or zero for totals.
+ *
+ * `end`
+ * : The running total after this step.
+ *
+ * `change`
+ * : The change in the running total for this step, or the running total for
+ *   totals.
+ *
+ * `isTotal`
+ * : Whether this step is a total.
+ *
+ * @param {object[]} data             An array of data objects
+ * @param {string[]} categories       An array of category names
+ * @param {string}   categoryProperty The name of the property in each data
+ *                                    object that represents the category
+ * @param {string}   valueProperty    The name of the property in each data
+ *                                    object that represents the value
+ * @param {string}   totalProperty    The name of the property in each data
+ *                                    object that marks it as a total
+ *
+ * @return {object[]} An array of the steps for each category
+ */
+export default function getWaterfallSteps(
+  data,
+  categories,
+  categoryProperty,
+  valueProperty,
+  totalProperty
+) {
+  const lookup = createLookup(data, categoryProperty);
+  let total = 0;
+
+  return categories.map((category) => {
+    const item = lookup[category];
+    const start = total;
+
+    if (item?.[totalProperty]) {
+      return {
+        start: 0,
+        end: total,
+        change: total,
+        isTotal: true,
+      };
+    }
+
+    total += item?.[valueProperty] ?? 0;
+
+    return {
+      start,
+      end: total,
+      change: total - start,
+      isTotal: false,
+    };
+  });
+}
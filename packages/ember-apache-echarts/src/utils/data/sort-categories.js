@@ -0,0 +1,39 @@
+/**
+ * Sorts the `categories` in place using the `sort` method.
+ *
+ * @param {any[]}           categories An array of category names or values
+ * @param {string|Function} sort       How to sort the categories:
+ *                                     `firstSeries` (default), `asc`, `desc`
+ *                                     or a custom sort function. When
+ *                                     `firstSeries`, the categories are left in
+ *                                     the order they were provided
+ * @param {string}          type       The type of axis the categories are for:
+ *                                     `category` (default) or `time`. Time
+ *                                     categories sorted by `firstSeries` are
+ *                                     sorted chronologically instead
+ *
+ * @return {any[]} The `categories` array
+ */
+export default function sortCategories(
+  categories,
+  sort = 'firstSeries',
+  type = 'category'
+) {
+  if (sort !== 'firstSeries') {
+    if (sort === 'asc') {
+      categories.sort();
+    } else if (sort === 'desc') {
+      categories.sort().reverse();
+    } else if (typeof sort === 'function') {
+      categories.sort(sort);
+    } else {
+      console.warn(`Invalid 'categoryAxisSort' value: ${sort}`);
+    }
+  } else if (type === 'time') {
+    categories.sort(
+      (date1, date2) => (date1?.valueOf() ?? 0) - (date2?.valueOf() ?? 0)
+    );
+  }
+
+  return categories;
+}
@@ -0,0 +1,35 @@
+// The callbacks for each element watched by the shared observer
+const callbacks = new WeakMap();
+
+let sharedObserver;
+
+/**
+ * Watches the `element` for resize events and calls the `callback` whenever
+ * they occur, using a single `ResizeObserver` shared by every element watched
+ * through this function. Use this instead of `onElementResize` when watching
+ * large numbers of elements.
+ *
+ * @param {HTMLElement} element  The element to watch
+ * @param {Function}    callback The function to call when the element is
+ *                               resized. Passed the `element`
+ *
+ * @return {object} An object with a `disconnect` method that stops watching
+ *                  the element
+ */
+export default function onSharedElementResize(element, callback) {
+  if (!sharedObserver) {
+    sharedObserver = new ResizeObserver((entries) =>
+      entries.forEach(({ target }) => callbacks.get(target)?.(target))
+    );
+  }
+
+  callbacks.set(element, callback);
+  sharedObserver.observe(element);
+
+  return {
+    disconnect() {
+      sharedObserver.unobserve(element);
+      callbacks.delete(element);
+    },
+  };
+}
@@ -69,4 +69,62 @@ export default class ChartBarExample extends Component {
       ],
     },
   ];
+
+  waterfallData = [
+    { name: 'Revenue', value: 420 },
+    { name: 'Cost of Sales', value: -180 },
+    { name: 'Gross Profit', isTotal: true },
+    { name: 'Operating Expenses', value: -150 },
+    { name: 'Other Income', value: 25 },
+    { name: 'Taxes', value: -30 },
+    { name: 'Net Income', isTotal: true },
+  ];
+
+  bulletData = [
+    { name: 'Grow revenue', value: 82, target: 90, ranges: [50, 75, 100] },
+    { name: 'Reduce churn', value: 64, target: 60, ranges: [40, 70, 100] },
+    { name: 'Launch mobile', value: 45, target: 80, ranges: [60, 80, 100] },
+    { name: 'Hire engineers', value: 95, target: 100, ranges: [50, 90, 110] },
+    { name: 'Improve NPS', value: 71, target: 75, ranges: [30, 60, 100] },
+  ];
+
+  releasePlanData = [
+    { name: 'Design', start: '2022-05-02', end: '2022-05-13' },
+    { name: 'Build', start: '2022-05-09', end: '2022-06-03' },
+    { name: 'Build', start: '2022-06-13', end: '2022-06-24' },
+    { name: 'Test', start: '2022-05-30', end: '2022-06-17' },
+    { name: 'Release', start: '2022-06-27', end: '2022-06-28' },
+  ];
+
+  releasePlanColors = {
+    Design: '#5470c6',
+    Build: '#91cc75',
+    Test: '#fac858',
+    Release: '#ee6666',
+  };
+
+  combinedData = [
+    {
+      label: 'Revenue',
+      data: [
+        { name: 'Q1', value: 1200 },
+        { name: 'Q2', value: 1450 },
+        { name: 'Q3', value: 1320 },
+        { name: 'Q4', value: 1780 },
+      ],
+    },
+    {
+      label: 'Margin',
+      type: 'line',
+      valueAxis: 'secondary',
+      data: [
+        { name: 'Q1', value: 18.5 },
+        { name: 'Q2', value: 21.2 },
+        { name: 'Q3', value: 19.8 },
+        { name: 'Q4', value: 24.1 },
+      ],
+    },
+  ];
+
+  formatPercent = (value) => `${value}%`;
 }
@@ -0,0 +1,27 @@
+import Component from '@glimmer/component';
+
+const endpoints = ['GET /users', 'POST /orders', 'GET /search'];
+
+// Generates a deterministic, skewed set of latencies with a long tail
+const generateLatencies = (base, seed) =>
+  Array.from({ length: 40 }, (value, index) => {
+    const noise = ((index + 1) * (seed + 7) * 37) % 100;
+
+    return Math.round(base + noise + (index % 13 === 0 ? base * 3 : 0));
+  });
+
+export default class ChartBoxPlotExample extends Component {
+  seriesData = ['us-east', 'eu-west'].map((label, seriesIndex) => ({
+    label,
+    data: endpoints.map((endpoint, endpointIndex) => ({
+      endpoint,
+      latency: generateLatencies(80 + endpointIndex * 60, seriesIndex),
+    })),
+  }));
+
+  chartData = endpoints.flatMap((name, index) =>
+    generateLatencies(50 + index * 40, index).map((value) => ({ name, value }))
+  );
+
+  formatLatency = (value) => `${value} ms`;
+}
@@ -0,0 +1,22 @@
+import Component from '@glimmer/component';
+
+const generateData = (year, seed) =>
+  Array.from({ length: 365 }, (value, day) => ({
+    date: new Date(year, 0, day + 1),
+    value: (day * seed) % 11,
+  }));
+
+export default class ChartCalendarExample extends Component {
+  chartData = generateData(2022, 7);
+
+  seriesData = [
+    {
+      label: 'Deploys',
+      data: generateData(2022, 7),
+    },
+    {
+      label: 'Incidents',
+      data: generateData(2022, 3),
+    },
+  ];
+}
@@ -0,0 +1,31 @@
+import Component from '@glimmer/component';
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2022, 0, 3);
+
+// Generates a deterministic random walk of daily prices and volumes
+const generatePrices = (count) => {
+  let close = 100;
+
+  return Array.from({ length: count }, (value, index) => {
+    const open = close;
+    const change = (((index + 3) * 37) % 11) - 5 + (index % 7 === 0 ? 4 : 0);
+
+    close = Math.max(10, open + change);
+
+    return {
+      at: new Date(START + index * DAY),
+      open,
+      high: Math.max(open, close) + ((index * 13) % 5),
+      low: Math.min(open, close) - ((index * 7) % 4),
+      close,
+      volume: 1000 + ((index * 7919) % 4000),
+    };
+  });
+};
+
+export default class ChartCandlestickExample extends Component {
+  chartData = generatePrices(90);
+
+  formatPrice = (value) => `$${value.toFixed(2)}`;
+}
@@ -0,0 +1,54 @@
+import Component from '@glimmer/component';
+
+export default class ChartFunnelExample extends Component {
+  chartData = [
+    {
+      name: 'visited',
+      value: 1200,
+    },
+    {
+      name: 'signed up',
+      value: 480,
+    },
+    {
+      name: 'trialed',
+      value: 210,
+    },
+    {
+      name: 'purchased',
+      value: 64,
+    },
+  ];
+
+  seriesData = [
+    {
+      label: 'This Week',
+      data: this.chartData,
+    },
+    {
+      label: 'Last Week',
+      data: [
+        {
+          name: 'visited',
+          value: 1040,
+        },
+        {
+          name: 'signed up',
+          value: 395,
+        },
+        {
+          name: 'trialed',
+          value: 188,
+        },
+        {
+          name: 'purchased',
+          value: 51,
+        },
+      ],
+    },
+    {
+      label: 'Next Week',
+      data: [],
+    },
+  ];
+}
@@ -0,0 +1,55 @@
+import Component from '@glimmer/component';
+
+export default class ChartGaugeExample extends Component {
+  gaugeData = [
+    {
+      name: 'CPU',
+      value: 72,
+    },
+  ];
+
+  gaugeSeries = [
+    {
+      label: 'CPU',
+      data: [{ name: 'CPU', value: 72 }],
+    },
+    {
+      label: 'Memory',
+      data: [{ name: 'Memory', value: 45 }],
+    },
+    {
+      label: 'Disk',
+      data: [],
+    },
+  ];
+
+  bands = [
+    { max: 60, color: '#91cc75' },
+    { max: 85, color: '#fac858' },
+    { max: 100, color: '#ee6666' },
+  ];
+
+  revenueData = [9800, 10400, 11200, 10900, 11800, 12600, 13100].map(
+    (value) => ({ value })
+  );
+
+  kpiSeries = [
+    {
+      label: 'Signups',
+      value: 1284,
+      comparisonValue: 1103,
+      data: [980, 1020, 1103, 1150, 1210, 1284].map((value) => ({ value })),
+    },
+    {
+      label: 'Orders',
+      value: 42,
+      comparisonValue: 37,
+      data: [35, 39, 37, 40, 42].map((value) => ({ value })),
+    },
+    {
+      label: 'Refunds',
+    },
+  ];
+
+  formatPercent = (value) => `${value}%`;
+}
@@ -0,0 +1,61 @@
+import { action } from '@ember/object';
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+
+export default class ChartGraphExample extends Component {
+  @tracked selected = '';
+
+  serviceNodes = [
+    { name: 'web', category: 'Frontend' },
+    { name: 'mobile-api', category: 'Frontend' },
+    { name: 'accounts', category: 'Service' },
+    { name: 'orders', category: 'Service' },
+    { name: 'payments', category: 'Service' },
+    { name: 'search', category: 'Service' },
+    { name: 'postgres', category: 'Storage' },
+    { name: 'redis', category: 'Storage' },
+    { name: 'elasticsearch', category: 'Storage' },
+  ];
+
+  serviceEdges = [
+    { source: 'web', target: 'accounts', value: 120 },
+    { source: 'web', target: 'orders', value: 340 },
+    { source: 'web', target: 'search', value: 410 },
+    { source: 'mobile-api', target: 'accounts', value: 80 },
+    { source: 'mobile-api', target: 'orders', value: 150 },
+    { source: 'orders', target: 'payments', value: 90 },
+    { source: 'accounts', target: 'postgres', value: 200 },
+    { source: 'orders', target: 'postgres', value: 310 },
+    { source: 'accounts', target: 'redis', value: 500 },
+    { source: 'search', target: 'elasticsearch', value: 410 },
+  ];
+
+  colorMap = {
+    Frontend: '#5470c6',
+    Service: '#91cc75',
+    Storage: '#fac858',
+  };
+
+  fixedNodes = [
+    { name: 'A', x: 0, y: 0 },
+    { name: 'B', x: 100, y: 0 },
+    { name: 'C', x: 50, y: 80 },
+    { name: 'D', x: 150, y: 80 },
+  ];
+
+  fixedEdges = [
+    { source: 'A', target: 'B' },
+    { source: 'A', target: 'C' },
+    { source: 'B', target: 'C' },
+    { source: 'B', target: 'D' },
+  ];
+
+  @action
+  select(item, type) {
+    this.selected = !item
+      ? ''
+      : type === 'edge'
+      ? `${item.source} → ${item.target}`
+      : item.name;
+  }
+}
@@ -0,0 +1,14 @@
+import Component from '@glimmer/component';
+
+const days = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const hours = Array.from({ length: 24 }, (value, hour) => `${hour}:00`);
+
+export default class ChartHeatmapExample extends Component {
+  seriesData = days.map((day, dayIndex) => ({
+    label: day,
+    data: hours.map((hour, hourIndex) => ({
+      hour,
+      count: ((dayIndex + 3) * (hourIndex + 5)) % 17,
+    })),
+  }));
+}
@@ -0,0 +1,44 @@
+import { action } from '@ember/object';
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+
+export default class ChartHierarchyExample extends Component {
+  @tracked selectedPath = '';
+
+  seriesData = [
+    {
+      label: 'Americas',
+      series: [
+        {
+          label: 'North America',
+          data: [
+            { name: 'United States', value: 331 },
+            { name: 'Mexico', value: 126 },
+            { name: 'Canada', value: 38 },
+          ],
+        },
+        {
+          label: 'South America',
+          data: [
+            { name: 'Brazil', value: 213 },
+            { name: 'Colombia', value: 51 },
+            { name: 'Argentina', value: 45 },
+          ],
+        },
+      ],
+    },
+    {
+      label: 'Europe',
+      data: [
+        { name: 'Germany', value: 83 },
+        { name: 'France', value: 67 },
+        { name: 'Italy', value: 59 },
+      ],
+    },
+  ];
+
+  @action
+  select(path) {
+    this.selectedPath = path.join(' › ');
+  }
+}
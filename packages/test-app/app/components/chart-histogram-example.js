@@ -0,0 +1,23 @@
+import Component from '@glimmer/component';
+
+// Generates a deterministic, roughly normal set of response times by summing
+// several evenly distributed values
+const generateResponseTimes = (mean, seed) =>
+  Array.from({ length: 200 }, (value, index) => {
+    const sum = [1, 2, 3, 4].reduce(
+      (total, offset) =>
+        total + (((index + seed) * (offset * 31 + 17)) % 100) / 100,
+      0
+    );
+
+    return Math.round(mean + (sum - 2) * mean * 0.5);
+  });
+
+export default class ChartHistogramExample extends Component {
+  chartData = generateResponseTimes(200, 0);
+
+  seriesData = [
+    { label: 'Before', data: generateResponseTimes(240, 3) },
+    { label: 'After', data: generateResponseTimes(160, 11) },
+  ];
+}
@@ -0,0 +1,67 @@
+import { action } from '@ember/object';
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+
+/**
+ * Creates a GeoJSON feature for a rectangular region.
+ */
+const createRegion = (name, x1, y1, x2, y2) => ({
+  type: 'Feature',
+  properties: { name },
+  geometry: {
+    type: 'Polygon',
+    coordinates: [
+      [
+        [x1, y1],
+        [x2, y1],
+        [x2, y2],
+        [x1, y2],
+        [x1, y1],
+      ],
+    ],
+  },
+});
+
+export default class ChartMapExample extends Component {
+  @tracked selectedRegion = '';
+
+  geoJson = {
+    type: 'FeatureCollection',
+    features: [
+      createRegion('North', 0, 20, 30, 30),
+      createRegion('West', 0, 10, 12, 20),
+      createRegion('Central', 12, 10, 20, 20),
+      createRegion('East', 20, 10, 30, 20),
+      createRegion('South', 0, 0, 30, 10),
+    ],
+  };
+
+  chartData = [
+    { name: 'North', value: 120 },
+    { name: 'West', value: 340 },
+    { name: 'Central', value: 510 },
+    { name: 'South', value: 80 },
+  ];
+
+  seriesData = [
+    {
+      label: '2021',
+      data: this.chartData,
+    },
+    {
+      label: '2022',
+      data: [
+        { name: 'North', value: 180 },
+        { name: 'West', value: 290 },
+        { name: 'Central', value: 620 },
+        { name: 'East', value: 150 },
+        { name: 'South', value: 110 },
+      ],
+    },
+  ];
+
+  @action
+  select(region, seriesLabel) {
+    this.selectedRegion = [seriesLabel, region].filter(Boolean).join(' › ');
+  }
+}
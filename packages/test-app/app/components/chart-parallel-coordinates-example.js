@@ -0,0 +1,121 @@
+import { action } from '@ember/object';
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+
+export default class ChartParallelCoordinatesExample extends Component {
+  @tracked brushedRuns = null;
+
+  dimensions = [
+    'optimizer',
+    { property: 'learningRate', label: 'Learning Rate' },
+    { property: 'batchSize', label: 'Batch Size' },
+    { property: 'epochs', label: 'Epochs' },
+    { property: 'accuracy', label: 'Accuracy', min: 0, max: 1 },
+    { property: 'precision', label: 'Precision', min: 0, max: 1 },
+    { property: 'recall', label: 'Recall', min: 0, max: 1 },
+    { property: 'f1', label: 'F1', min: 0, max: 1 },
+    { property: 'loss', label: 'Loss' },
+    { property: 'trainMinutes', label: 'Train Time' },
+  ];
+
+  chartData = [
+    {
+      name: 'run-01',
+      optimizer: 'adam',
+      learningRate: 0.001,
+      batchSize: 32,
+      epochs: 10,
+      accuracy: 0.91,
+      precision: 0.89,
+      recall: 0.9,
+      f1: 0.895,
+      loss: 0.21,
+      trainMinutes: 42,
+    },
+    {
+      name: 'run-02',
+      optimizer: 'adam',
+      learningRate: 0.01,
+      batchSize: 64,
+      epochs: 10,
+      accuracy: 0.86,
+      precision: 0.84,
+      recall: 0.87,
+      f1: 0.855,
+      loss: 0.33,
+      trainMinutes: 25,
+    },
+    {
+      name: 'run-03',
+      optimizer: 'sgd',
+      learningRate: 0.1,
+      batchSize: 128,
+      epochs: 20,
+      accuracy: 0.83,
+      precision: 0.85,
+      recall: 0.8,
+      f1: 0.824,
+      loss: 0.41,
+      trainMinutes: 31,
+    },
+    {
+      name: 'run-04',
+      optimizer: 'sgd',
+      learningRate: 0.05,
+      batchSize: 32,
+      epochs: 30,
+      accuracy: 0.88,
+      precision: 0.87,
+      recall: 0.88,
+      f1: 0.875,
+      loss: 0.27,
+      trainMinutes: 78,
+    },
+    {
+      name: 'run-05',
+      optimizer: 'rmsprop',
+      learningRate: 0.005,
+      batchSize: 64,
+      epochs: 15,
+      accuracy: 0.9,
+      precision: 0.91,
+      recall: 0.86,
+      f1: 0.884,
+      loss: 0.24,
+      trainMinutes: 37,
+    },
+    {
+      name: 'run-06',
+      optimizer: 'rmsprop',
+      learningRate: 0.0005,
+      batchSize: 16,
+      epochs: 25,
+      accuracy: 0.93,
+      precision: 0.92,
+      recall: 0.93,
+      f1: 0.925,
+      loss: 0.18,
+      trainMinutes: 104,
+    },
+  ];
+
+  seriesData = [
+    {
+      label: 'Baseline',
+      data: this.chartData.slice(0, 3),
+    },
+    {
+      label: 'Tuned',
+      data: this.chartData.slice(3),
+    },
+  ];
+
+  get brushedRunNames() {
+    return this.brushedRuns?.map((run) => run.name).join(', ') ?? 'All';
+  }
+
+  @action
+  brush(runs) {
+    this.brushedRuns = runs;
+  }
+}
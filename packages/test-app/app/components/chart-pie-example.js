@@ -69,4 +69,41 @@ export default class ChartPieExample extends Component {
       ],
     },
   ];
+
+  comparisonData = [
+    {
+      label: 'Last Year',
+      data: [
+        { name: 'Hardware', value: 420 },
+        { name: 'Software', value: 310 },
+        { name: 'Services', value: 150 },
+      ],
+    },
+    {
+      label: 'This Year',
+      data: [
+        { name: 'Hardware', value: 380 },
+        { name: 'Software', value: 450 },
+        { name: 'Services', value: 210 },
+      ],
+    },
+  ];
+
+  longTailData = [
+    { name: 'Chrome', value: 645 },
+    { name: 'Safari', value: 187 },
+    { name: 'Edge', value: 53 },
+    { name: 'Firefox', value: 28 },
+    { name: 'Samsung Internet', value: 26 },
+    { name: 'Opera', value: 22 },
+    { name: 'UC Browser', value: 9 },
+    { name: 'Android Browser', value: 5 },
+    { name: 'Yandex', value: 4 },
+    { name: 'Other Browsers', value: 3 },
+  ];
+
+  formatSliceLabel = (name, value, percent) =>
+    `${name}: ${value} (${percent}%)`;
+
+  formatSlicePercent = (name, value, percent) => `${Math.round(percent)}%`;
 }
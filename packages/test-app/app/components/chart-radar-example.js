@@ -0,0 +1,34 @@
+import Component from '@glimmer/component';
+
+const features = ['Price', 'Speed', 'Storage', 'Battery', 'Support'];
+
+export default class ChartRadarExample extends Component {
+  productData = ['Basic', 'Pro', 'Enterprise'].map((label, productIndex) => ({
+    label,
+    data: features.map((feature, featureIndex) => ({
+      feature,
+      score: ((productIndex + 2) * (featureIndex + 3) * 7) % 50,
+    })),
+  }));
+
+  skillData = [
+    {
+      label: 'Alex',
+      data: [
+        { name: 'JavaScript', value: 5 },
+        { name: 'CSS', value: 3 },
+        { name: 'SQL', value: 2 },
+        { name: 'Design', value: 4 },
+      ],
+    },
+    {
+      label: 'Sam',
+      data: [
+        { name: 'JavaScript', value: 3 },
+        { name: 'CSS', value: 5 },
+        { name: 'SQL', value: 4 },
+        { name: 'Design', value: 2 },
+      ],
+    },
+  ];
+}
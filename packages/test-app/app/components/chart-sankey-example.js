@@ -0,0 +1,25 @@
+import Component from '@glimmer/component';
+
+export default class ChartSankeyExample extends Component {
+  budgetData = [
+    { from: 'Revenue', to: 'Engineering', amount: 420 },
+    { from: 'Revenue', to: 'Sales', amount: 260 },
+    { from: 'Revenue', to: 'Operations', amount: 120 },
+    { from: 'Engineering', to: 'Salaries', amount: 360 },
+    { from: 'Engineering', to: 'Tools', amount: 60 },
+    { from: 'Sales', to: 'Salaries', amount: 180 },
+    { from: 'Sales', to: 'Travel', amount: 80 },
+    { from: 'Operations', to: 'Tools', amount: 40 },
+    { from: 'Operations', to: 'Rent', amount: 80 },
+  ];
+
+  journeyNodes = ['Home', 'Search', 'Product', 'Cart', 'Checkout'];
+
+  journeyLinks = [
+    { source: 'Home', target: 'Search', value: 540 },
+    { source: 'Home', target: 'Product', value: 320 },
+    { source: 'Search', target: 'Product', value: 410 },
+    { source: 'Product', target: 'Cart', value: 280 },
+    { source: 'Cart', target: 'Checkout', value: 190 },
+  ];
+}
@@ -0,0 +1,66 @@
+import Component from '@glimmer/component';
+
+export default class ChartScatterExample extends Component {
+  chartData = [
+    {
+      name: 'North',
+      cost: 12,
+      revenue: 40,
+      customers: 120,
+    },
+    {
+      name: 'South',
+      cost: 18,
+      revenue: 35,
+      customers: 80,
+    },
+    {
+      name: 'East',
+      cost: 7,
+      revenue: 22,
+      customers: 45,
+    },
+    {
+      name: 'West',
+      cost: 25,
+      revenue: 61,
+      customers: 210,
+    },
+  ];
+
+  seriesData = [
+    {
+      label: 'This Year',
+      data: this.chartData,
+    },
+    {
+      label: 'Last Year',
+      data: [
+        {
+          name: 'North',
+          cost: 10,
+          revenue: 31,
+          customers: 95,
+        },
+        {
+          name: 'South',
+          cost: 21,
+          revenue: 30,
+          customers: 70,
+        },
+        {
+          name: 'East',
+          cost: 5,
+          revenue: 14,
+          customers: 20,
+        },
+        {
+          name: 'West',
+          cost: 22,
+          revenue: 48,
+          customers: 160,
+        },
+      ],
+    },
+  ];
+}
@@ -0,0 +1,15 @@
+import Component from '@glimmer/component';
+
+const generateData = (seed, length) =>
+  Array.from({ length }, (value, index) => ({
+    visits: 20 + ((index * seed) % 17) + Math.round(index / 2),
+  }));
+
+export default class ChartSparklineExample extends Component {
+  chartData = [12, 15, 9, 18, 21, 17, 25, 22, 19, 28, 24, 30];
+
+  rows = Array.from({ length: 100 }, (value, index) => ({
+    name: `Page ${index + 1}`,
+    data: generateData(index + 3, 20),
+  }));
+}
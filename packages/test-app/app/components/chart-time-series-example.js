@@ -0,0 +1,34 @@
+import Component from '@glimmer/component';
+
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2022, 0, 1);
+
+const generateDailyData = (seed, days) =>
+  Array.from({ length: days }, (value, index) => ({
+    at: new Date(START + index * DAY),
+    value: 100 + ((index * seed) % 37),
+  })).filter((item, index) => index % 45 < 40);
+
+export default class ChartTimeSeriesExample extends Component {
+  seriesData = [
+    {
+      label: 'Signups',
+      data: generateDailyData(7, 180),
+    },
+    {
+      label: 'Activations',
+      data: generateDailyData(3, 180),
+    },
+  ];
+
+  hourlyData = [
+    {
+      label: 'Requests',
+      data: Array.from({ length: 48 }, (value, index) => ({
+        at: new Date(START + index * HOUR).toISOString(),
+        value: 500 + ((index * 11) % 23) * 10,
+      })).filter((item, index) => index < 20 || index > 26),
+    },
+  ];
+}
@@ -0,0 +1,69 @@
+import computeBoxPlotStatistics from 'ember-apache-echarts/utils/data/compute-box-plot-statistics';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | compute-box-plot-statistics', function () {
+  test('it computes the quartiles of unsorted values', function (assert) {
+    assert.deepEqual(
+      computeBoxPlotStatistics([16, 'a', 12, null, 14, 10, 22]),
+      {
+        min: 10,
+        q1: 12,
+        median: 14,
+        q3: 16,
+        max: 22,
+        outliers: [],
+        count: 5,
+      }
+    );
+  });
+
+  test('it extends the whiskers to 1.5 times the IQR by default', function (assert) {
+    // The IQR is 4, so the fences are at 6 and 22
+    const inside = computeBoxPlotStatistics([10, 12, 14, 16, 22]);
+    const outside = computeBoxPlotStatistics([10, 12, 14, 16, 24]);
+
+    assert.strictEqual(inside.max, 22, 'includes values on the fence');
+    assert.deepEqual(inside.outliers, []);
+    assert.strictEqual(outside.max, 16, 'ends at the most extreme inlier');
+    assert.deepEqual(outside.outliers, [24]);
+  });
+
+  test('it extends the whiskers to the whisker range', function (assert) {
+    const statistics = computeBoxPlotStatistics([10, 12, 14, 16, 24], 3);
+
+    assert.strictEqual(statistics.max, 24);
+    assert.deepEqual(statistics.outliers, []);
+  });
+
+  test('it extracts the outliers beyond both whiskers', function (assert) {
+    assert.deepEqual(
+      computeBoxPlotStatistics([100, 1, 2, 3, 4, 5, 6, 7, 8, -50]),
+      {
+        min: 1,
+        q1: 2.25,
+        median: 4.5,
+        q3: 6.75,
+        max: 8,
+        outliers: [-50, 100],
+        count: 10,
+      }
+    );
+  });
+
+  test('it summarizes a single value', function (assert) {
+    assert.deepEqual(computeBoxPlotStatistics([7]), {
+      min: 7,
+      q1: 7,
+      median: 7,
+      q3: 7,
+      max: 7,
+      outliers: [],
+      count: 1,
+    });
+  });
+
+  test('it returns undefined without any numeric values', function (assert) {
+    assert.strictEqual(computeBoxPlotStatistics([]), undefined);
+    assert.strictEqual(computeBoxPlotStatistics([null, 'a', NaN]), undefined);
+  });
+});
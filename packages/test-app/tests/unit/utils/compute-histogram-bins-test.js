@@ -0,0 +1,112 @@
+import computeHistogramBins from 'ember-apache-echarts/utils/data/compute-histogram-bins';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | compute-histogram-bins', function () {
+  test('it starts bins of a fixed width at a multiple of the width', function (assert) {
+    assert.deepEqual(
+      computeHistogramBins([1, 2, 3, 4, 5, 6, 7, 8, 9, 10], { binWidth: 4 }),
+      [
+        { start: 0, end: 4, count: 3 },
+        { start: 4, end: 8, count: 4 },
+        { start: 8, end: 12, count: 3 },
+      ]
+    );
+    assert.deepEqual(computeHistogramBins([3, 5, 11], { binWidth: 5 }), [
+      { start: 0, end: 5, count: 1 },
+      { start: 5, end: 10, count: 1 },
+      { start: 10, end: 15, count: 1 },
+    ]);
+  });
+
+  test('it divides the range into the bin count', function (assert) {
+    assert.deepEqual(
+      computeHistogramBins([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10], { binCount: 5 }),
+      [
+        { start: 0, end: 2, count: 2 },
+        { start: 2, end: 4, count: 2 },
+        { start: 4, end: 6, count: 2 },
+        { start: 6, end: 8, count: 2 },
+        // The last bin includes the maximum
+        { start: 8, end: 10, count: 3 },
+      ]
+    );
+  });
+
+  test('it uses the minimum and maximum to fix the range', function (assert) {
+    assert.deepEqual(
+      computeHistogramBins([1, 5, 9, 12], {
+        minimum: 0,
+        maximum: 10,
+        binCount: 2,
+      }),
+      [
+        { start: 0, end: 5, count: 1 },
+        { start: 5, end: 10, count: 2 },
+      ]
+    );
+  });
+
+  test("it defaults to Sturges' rule", function (assert) {
+    assert.deepEqual(computeHistogramBins([1, 2, 3, 4, 5, 6, 7, 8]), [
+      { start: 1, end: 2.75, count: 2 },
+      { start: 2.75, end: 4.5, count: 2 },
+      { start: 4.5, end: 6.25, count: 2 },
+      { start: 6.25, end: 8, count: 2 },
+    ]);
+  });
+
+  test('it uses the Freedman-Diaconis rule', function (assert) {
+    assert.deepEqual(
+      computeHistogramBins([1, 2, 3, 4, 5, 6, 7, 8], {
+        binMethod: 'freedmanDiaconis',
+      }),
+      [
+        { start: 1, end: 4.5, count: 4 },
+        { start: 4.5, end: 8, count: 4 },
+      ]
+    );
+  });
+
+  test("it falls back to Sturges' rule when the IQR is zero", function (assert) {
+    const bins = computeHistogramBins([5, 5, 5, 5, 5, 5, 5, 5, 1, 9], {
+      binMethod: 'freedmanDiaconis',
+    });
+
+    assert.deepEqual(
+      bins.map((bin) => bin.count),
+      [1, 0, 8, 0, 1]
+    );
+    assert.strictEqual(bins[0].start, 1);
+    assert.strictEqual(bins[bins.length - 1].end, 9);
+  });
+
+  test('it returns a single bin when all values are equal', function (assert) {
+    assert.deepEqual(computeHistogramBins([4, 4, 4]), [
+      { start: 4, end: 4, count: 3 },
+    ]);
+  });
+
+  test('it caps the number of bins for tiny widths', function (assert) {
+    const bins = computeHistogramBins([0, 10], { binWidth: 0.001 });
+
+    assert.strictEqual(bins.length, 1000);
+    assert.strictEqual(bins[0].start, 0);
+    assert.strictEqual(bins[bins.length - 1].end, 10);
+    assert.strictEqual(
+      bins.reduce((total, bin) => total + bin.count, 0),
+      2
+    );
+  });
+
+  test('it rejects a minimum greater than the maximum', function (assert) {
+    assert.throws(
+      () => computeHistogramBins([1, 2, 3], { minimum: 5, maximum: 3 }),
+      /greater than the maximum/
+    );
+  });
+
+  test('it returns no bins without any numeric values', function (assert) {
+    assert.deepEqual(computeHistogramBins([]), []);
+    assert.deepEqual(computeHistogramBins([null, 'a', NaN]), []);
+  });
+});
@@ -0,0 +1,24 @@
+import computeQuantile from 'ember-apache-echarts/utils/data/compute-quantile';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | compute-quantile', function () {
+  test('it returns the value at the quantile', function (assert) {
+    assert.strictEqual(computeQuantile([1, 2, 3, 4], 0), 1);
+    assert.strictEqual(computeQuantile([1, 3, 7], 0.5), 3);
+    assert.strictEqual(computeQuantile([1, 2, 3, 4], 1), 4);
+  });
+
+  test('it interpolates between the closest values', function (assert) {
+    assert.strictEqual(computeQuantile([1, 2, 3, 4], 0.25), 1.75);
+    assert.strictEqual(computeQuantile([1, 2, 3, 4], 0.5), 2.5);
+    assert.strictEqual(computeQuantile([1, 3, 7], 0.75), 5);
+  });
+
+  test('it returns the only value of a single value', function (assert) {
+    assert.strictEqual(computeQuantile([10], 0.3), 10);
+  });
+
+  test('it returns undefined without any values', function (assert) {
+    assert.strictEqual(computeQuantile([], 0.5), undefined);
+  });
+});